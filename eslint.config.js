@@ -26,4 +26,23 @@ export default defineConfig([
       'no-unused-vars': ['error', { varsIgnorePattern: '^[A-Z_]' }],
     },
   },
+  {
+    // headless entry, file encoders, scripts and tests run under Node
+    files: [
+      'src/headless.js',
+      'src/imageFiles.js',
+      'scripts/**/*.js',
+      'test/**/*.js',
+    ],
+    languageOptions: {
+      globals: globals.node,
+    },
+  },
+  {
+    // template for the emitted sw.js (see vite.config.js)
+    files: ['src/serviceWorker.js'],
+    languageOptions: {
+      globals: globals.serviceworker,
+    },
+  },
 ])
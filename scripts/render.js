@@ -0,0 +1,269 @@
+/**
+ * Batch renderer: runs the engine headlessly and writes one image per
+ * combination of rule, world size, seed, boundary and edge, optionally
+ * tiled into a contact sheet as well. No browser involved.
+ *
+ *   npm run render -- --rules 0-255 --size 128x64 --sheet all-rules.png
+ *   npm run render -- --rules 30,110 --seed single,random:7 \
+ *     --boundary periodic,fixed0 --edge bottom,left --format pbm
+ *
+ * Run with --help for every option.
+ */
+
+import { mkdirSync, writeFileSync } from "node:fs";
+import { join } from "node:path";
+import { parseArgs } from "node:util";
+import {
+  BOUNDARY_MODES,
+  MAX_RADIUS,
+  MAX_STATES,
+  RULE_FAMILIES,
+  createRng,
+  maxRuleCode,
+  randomRow,
+  ruleLabel,
+} from "../src/ca.js";
+import { PALETTE_PRESETS, hexToRgb } from "../src/render.js";
+import { SEED_PRESETS } from "../src/seeds.js";
+import { renderCells } from "../src/headless.js";
+import {
+  contactSheet,
+  encodePbm,
+  encodePng,
+  scaleCells,
+} from "../src/imageFiles.js";
+
+const EDGES = ["bottom", "top", "left", "right"];
+const SHEET_GAP_RGB = [128, 128, 128];
+
+const HELP = `Usage: npm run render -- [options]
+
+  --rules LIST      rule codes and ranges, e.g. 30,90,100-110 (default 30,90,110)
+  --family NAME     ${RULE_FAMILIES.map((f) => f.id).join(" | ")} (default general)
+  --states K        states per cell, 2..${MAX_STATES} (default 2)
+  --radius R        neighbourhood radius, 1..${MAX_RADIUS} (default 1)
+  --size LIST       world sizes WxH: cells x generations (default 256x128)
+  --seed LIST       ${SEED_PRESETS.map((p) => p.id).join(" | ")} |
+                    random[:rngSeed[:density]] (default single)
+  --boundary LIST   ${BOUNDARY_MODES.map((b) => b.id).join(" | ")} (default fixed0)
+  --edge LIST       ${EDGES.join(" | ")} (default bottom)
+  --flip            mirror the sideways edges (flipLR)
+  --format F        png | pbm (default png; pbm prints every live state black)
+  --palette P       ${Object.keys(PALETTE_PRESETS).join(" | ")} or hex list
+                    like ffffff,000000 (png only, default Classic)
+  --scale N         pixels per cell (default 1)
+  --out DIR         output directory (default renders)
+  --sheet FILE      also tile everything into one image (in --out)
+  --columns N       contact sheet columns (default: roughly square)
+  --sheet-only      write the contact sheet but no single images
+`;
+
+// "30,90,100-110" -> [30n, 90n, 100n, ..., 110n]
+function parseRules(text, max) {
+  const rules = [];
+  for (const part of text.split(",")) {
+    const m = part.trim().match(/^(\d+)(?:-(\d+))?$/);
+    if (!m) throw new Error(`bad rule or range "${part}"`);
+    const lo = BigInt(m[1]);
+    const hi = BigInt(m[2] ?? m[1]);
+    if (hi < lo) throw new Error(`empty range "${part}"`);
+    if (hi > max) throw new Error(`rule ${hi} is past the largest code ${max}`);
+    for (let r = lo; r <= hi; r++) rules.push(r);
+  }
+  return rules;
+}
+
+function parseSizes(text) {
+  return text.split(",").map((part) => {
+    const m = part.trim().match(/^(\d+)x(\d+)$/);
+    if (!m || Number(m[1]) < 1 || Number(m[2]) < 2) {
+      throw new Error(`bad size "${part}" (want WxH, e.g. 256x128)`);
+    }
+    return { W: Number(m[1]), H: Number(m[2]) };
+  });
+}
+
+// Seed spec -> { name, make(W, k) }
+function parseSeed(text) {
+  const [id, rng = "1", density = "0.5"] = text.trim().split(":");
+  if (id === "random") {
+    const seed = Number(rng);
+    const d = Number(density);
+    if (!Number.isInteger(seed) || !(d >= 0 && d <= 1)) {
+      throw new Error(`bad random seed "${text}"`);
+    }
+    return {
+      name: `random${seed}`,
+      make: (W, k) => randomRow(W, k, d, createRng(seed)),
+    };
+  }
+  const preset = SEED_PRESETS.find((p) => p.id === id);
+  if (!preset) throw new Error(`unknown seed "${text}"`);
+  return {
+    name: id,
+    make: (W, k) => preset.make(W).map((v) => Math.min(v, k - 1)),
+  };
+}
+
+function oneOfList(text, allowed, what) {
+  const list = text.split(",").map((s) => s.trim());
+  const bad = list.find((v) => !allowed.includes(v));
+  if (bad) throw new Error(`unknown ${what} "${bad}"`);
+  return list;
+}
+
+function parsePalette(text) {
+  const hex =
+    PALETTE_PRESETS[text] ??
+    text.split(",").map((c) => `#${c.replace(/^#/, "")}`);
+  if (hex.length < 2 || hex.some((c) => !/^#[0-9a-f]{6}$/i.test(c))) {
+    throw new Error(`bad palette "${text}"`);
+  }
+  return hex.map(hexToRgb);
+}
+
+function intOption(text, name, lo, hi) {
+  const v = Number(text);
+  if (!Number.isInteger(v) || v < lo || v > hi) {
+    throw new Error(`--${name} must be a whole number in ${lo}..${hi}`);
+  }
+  return v;
+}
+
+function main() {
+  const { values } = parseArgs({
+    options: {
+      rules: { type: "string", default: "30,90,110" },
+      family: { type: "string", default: "general" },
+      states: { type: "string", default: "2" },
+      radius: { type: "string", default: "1" },
+      size: { type: "string", default: "256x128" },
+      seed: { type: "string", default: "single" },
+      boundary: { type: "string", default: "fixed0" },
+      edge: { type: "string", default: "bottom" },
+      flip: { type: "boolean", default: false },
+      format: { type: "string", default: "png" },
+      palette: { type: "string", default: "Classic" },
+      scale: { type: "string", default: "1" },
+      out: { type: "string", default: "renders" },
+      sheet: { type: "string" },
+      columns: { type: "string" },
+      "sheet-only": { type: "boolean", default: false },
+      help: { type: "boolean", short: "h", default: false },
+    },
+  });
+  if (values.help) {
+    process.stdout.write(HELP);
+    return;
+  }
+
+  const [family] = oneOfList(
+    values.family,
+    RULE_FAMILIES.map((f) => f.id),
+    "family",
+  );
+  const k = intOption(values.states, "states", 2, MAX_STATES);
+  const r = intOption(values.radius, "radius", 1, MAX_RADIUS);
+  const rules = parseRules(values.rules, maxRuleCode(family, k, r));
+  const sizes = parseSizes(values.size);
+  const seeds = values.seed.split(",").map(parseSeed);
+  const boundaries = oneOfList(
+    values.boundary,
+    BOUNDARY_MODES.map((b) => b.id),
+    "boundary",
+  );
+  const edges = oneOfList(values.edge, EDGES, "edge");
+  const [format] = oneOfList(values.format, ["png", "pbm"], "format");
+  const paletteRgb = parsePalette(values.palette);
+  const scale = intOption(values.scale, "scale", 1, 64);
+  const columns =
+    values.columns === undefined
+      ? undefined
+      : intOption(values.columns, "columns", 1, 10000);
+  if (values["sheet-only"] && !values.sheet) {
+    throw new Error("--sheet-only needs --sheet FILE");
+  }
+
+  const encode = (image, palette = paletteRgb) =>
+    format === "pbm" ? encodePbm(image) : encodePng(image, palette);
+  mkdirSync(values.out, { recursive: true });
+
+  const tiles = [];
+  const names = [];
+  for (const rule of rules) {
+    for (const { W, H } of sizes) {
+      for (const seed of seeds) {
+        for (const boundary of boundaries) {
+          for (const edge of edges) {
+            const image = scaleCells(
+              renderCells({
+                rule,
+                family,
+                k,
+                r,
+                W,
+                H,
+                boundary,
+                init: seed.make(W, k),
+                // edge noise is seeded too: reruns give the same picture
+                rngSeed: 1,
+                edge,
+                flipLR: values.flip,
+              }),
+              scale,
+            );
+            const name = [
+              ruleLabel(rule, family, k, r)
+                .toLowerCase()
+                .replace(/[^a-z0-9]+/g, "-"),
+              `${W}x${H}`,
+              seed.name,
+              boundary,
+              edge,
+              ...(values.flip ? ["flip"] : []),
+            ].join("-");
+
+            if (!values["sheet-only"]) {
+              writeFileSync(
+                join(values.out, `${name}.${format}`),
+                encode(image),
+              );
+            }
+            if (values.sheet) tiles.push(image);
+            names.push(name);
+          }
+        }
+      }
+    }
+  }
+
+  if (values.sheet) {
+    // the gaps get their own palette entry (pbm: background)
+    const sheet = contactSheet(tiles, {
+      columns,
+      gap: 4 * scale,
+      gapState: format === "pbm" ? 0 : paletteRgb.length,
+    });
+    writeFileSync(
+      join(values.out, values.sheet),
+      encode(sheet, [...paletteRgb, SHEET_GAP_RGB]),
+    );
+    // tile order for the sheet, row by row
+    writeFileSync(
+      join(values.out, `${values.sheet}.txt`),
+      `${names.join("\n")}\n`,
+    );
+  }
+
+  const wrote = values["sheet-only"] ? 0 : names.length;
+  process.stdout.write(
+    `wrote ${wrote} image${wrote === 1 ? "" : "s"}${values.sheet ? ` and ${values.sheet}` : ""} to ${values.out}\n`,
+  );
+}
+
+try {
+  main();
+} catch (err) {
+  process.stderr.write(`render: ${err.message}\n`);
+  process.exitCode = 1;
+}
@@ -0,0 +1,102 @@
+import React, { useEffect, useRef, useState } from "react";
+
+function Sparkline({ values, color, frame, width = 160, height = 32 }) {
+  const ref = useRef(null);
+
+  useEffect(() => {
+    const canvas = ref.current;
+    if (!canvas) return;
+    const ctx = canvas.getContext("2d");
+    ctx.clearRect(0, 0, width, height);
+    ctx.strokeStyle = frame;
+    ctx.strokeRect(0.5, 0.5, width - 1, height - 1);
+    if (values.length < 2) return;
+    ctx.strokeStyle = color;
+    ctx.lineWidth = 1.5;
+    ctx.beginPath();
+    values.forEach((v, i) => {
+      const x = (i / (values.length - 1)) * (width - 2) + 1;
+      const y = height - 1 - v * (height - 2);
+      if (i === 0) ctx.moveTo(x, y);
+      else ctx.lineTo(x, y);
+    });
+    ctx.stroke();
+  }, [values, color, frame, width, height]);
+
+  return <canvas ref={ref} width={width} height={height} />;
+}
+
+function describeCycle(temporal) {
+  if (!temporal) return "none";
+  const { period, shift } = temporal;
+  return shift === 0
+    ? `period ${period}`
+    : `period ${period}, shift ${shift > 0 ? "+" : ""}${shift}`;
+}
+
+/**
+ * Live analysis readout, polled from the analyzer fed by the step loop.
+ */
+export default function AnalysisPanel({ analyzerRef, chrome }) {
+  const [snap, setSnap] = useState(null);
+
+  useEffect(() => {
+    const id = setInterval(() => {
+      const a = analyzerRef.current;
+      if (a) setSnap(a.snapshot());
+    }, 250);
+    return () => clearInterval(id);
+  }, [analyzerRef]);
+
+  return (
+    <div
+      style={{
+        position: "absolute",
+        left: 12,
+        bottom: 12,
+        zIndex: 10,
+        padding: 12,
+        borderRadius: 12,
+        border: `1px solid ${chrome.border}`,
+        background: chrome.panel,
+        color: chrome.text,
+        display: "grid",
+        gridTemplateColumns: "auto auto",
+        gap: "4px 12px",
+        alignItems: "center",
+        fontSize: 13,
+      }}
+    >
+      {!snap ? (
+        <span>collecting…</span>
+      ) : (
+        <>
+          <span>
+            density <b>{(snap.density * 100).toFixed(1)}%</b>
+          </span>
+          <Sparkline
+            frame={chrome.border}
+            values={snap.densitySeries}
+            color="#2e86ab"
+          />
+          <span>
+            entropy <b>{snap.entropy.toFixed(2)}</b>
+          </span>
+          <Sparkline
+            frame={chrome.border}
+            values={snap.entropySeries}
+            color="#e4572e"
+          />
+          <span>spatial period</span>
+          <b>{snap.spatialPeriod ?? "none"}</b>
+          <span>cycle</span>
+          <b style={{ color: snap.temporal ? "#c0392b" : undefined }}>
+            {describeCycle(snap.temporal)}
+          </b>
+          <span>class (guess)</span>
+          <b>{snap.cls}</b>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,196 @@
+import React, { useEffect, useRef, useState } from "react";
+import { profileFromCalibration } from "./sensorProfiles.js";
+
+const SAMPLE_MS = 1500;
+const SAMPLE_EVERY = 50;
+
+const POSES = [
+  {
+    id: "flat",
+    text: "Lay the tablet flat (or in your usual playing pose) and keep still.",
+  },
+  { id: "top", text: "Tilt toward the TOP edge and hold." },
+  { id: "right", text: "Tilt toward the RIGHT edge and hold." },
+  { id: "bottom", text: "Tilt toward the BOTTOM edge and hold." },
+  { id: "left", text: "Tilt toward the LEFT edge and hold." },
+];
+
+// Average a burst of readings; jitter = largest distance from the mean
+function summarize(samples) {
+  const n = samples.length;
+  const beta = samples.reduce((s, p) => s + p.beta, 0) / n;
+  const gamma = samples.reduce((s, p) => s + p.gamma, 0) / n;
+  const jitter = Math.max(
+    ...samples.map((p) => Math.hypot(p.beta - beta, p.gamma - gamma)),
+  );
+  return { beta, gamma, jitter };
+}
+
+/**
+ * Step-by-step sensor calibration: a neutral hold, then a tilt toward each
+ * edge. Produces a named profile the parent stores and switches to.
+ */
+export default function CalibrationWizard({
+  rawTiltRef,
+  motionOn,
+  enableMotion,
+  baseProfile,
+  onSave,
+  onClose,
+  chrome,
+}) {
+  const [poses, setPoses] = useState({});
+  const [sampling, setSampling] = useState(false);
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState("");
+  const [name, setName] = useState("My tablet");
+  const [flipLR, setFlipLR] = useState(baseProfile.flipLR);
+  const timerRef = useRef(null);
+
+  const step = POSES.findIndex((p) => !poses[p.id]);
+  const pose = POSES[step];
+
+  useEffect(() => () => clearInterval(timerRef.current), []);
+
+  function record() {
+    const samples = [];
+    const started = Date.now();
+    setSampling(true);
+    setError("");
+    timerRef.current = setInterval(() => {
+      samples.push({ ...rawTiltRef.current });
+      if (Date.now() - started < SAMPLE_MS) return;
+      clearInterval(timerRef.current);
+      setSampling(false);
+
+      const next = { ...poses, [pose.id]: summarize(samples) };
+      setPoses(next);
+      if (POSES.every((p) => next[p.id])) {
+        try {
+          setResult(profileFromCalibration(next));
+        } catch (err) {
+          setError(err.message);
+          setPoses({ flat: next.flat });
+        }
+      }
+    }, SAMPLE_EVERY);
+  }
+
+  function restart() {
+    setPoses({});
+    setResult(null);
+    setError("");
+  }
+
+  const numberInput = (key, min, max) => (
+    <input
+      type="number"
+      min={min}
+      max={max}
+      step={0.5}
+      value={result[key]}
+      onChange={(e) => {
+        const v = Number(e.target.value);
+        if (Number.isFinite(v)) {
+          setResult((r) => ({ ...r, [key]: Math.min(max, Math.max(min, v)) }));
+        }
+      }}
+      style={{ width: 64 }}
+    />
+  );
+
+  return (
+    <div
+      style={{
+        position: "absolute",
+        inset: 0,
+        zIndex: 20,
+        display: "flex",
+        alignItems: "center",
+        justifyContent: "center",
+        background: chrome.veil,
+      }}
+    >
+      <div
+        style={{
+          width: "min(420px, 90vw)",
+          padding: 16,
+          borderRadius: 12,
+          border: `1px solid ${chrome.border}`,
+          background: chrome.solid,
+          color: chrome.text,
+          colorScheme: chrome.scheme,
+          display: "flex",
+          flexDirection: "column",
+          gap: 10,
+        }}
+      >
+        <b>Sensor calibration</b>
+
+        {!motionOn ? (
+          <>
+            <span>Motion sensors are off.</span>
+            <button onClick={enableMotion} style={{ fontWeight: 700 }}>
+              Enable Motion
+            </button>
+          </>
+        ) : result ? (
+          <>
+            <span style={{ opacity: 0.8 }}>
+              neutral β {result.betaOffset}° γ {result.gammaOffset}°
+              {result.swapAxes ? " · axes swapped" : ""} · x sign {result.xSign}{" "}
+              · y sign {result.ySign}
+            </span>
+            <label>Deadzone&nbsp;{numberInput("deadzone", 0, 45)}&nbsp;°</label>
+            <label>
+              Full speed at&nbsp;{numberInput("maxAngle", 5, 90)}&nbsp;°
+            </label>
+            <label>
+              <input
+                type="checkbox"
+                checked={flipLR}
+                onChange={(e) => setFlipLR(e.target.checked)}
+              />
+              &nbsp;newest rows on the tilted side (left/right)
+            </label>
+            <label>
+              Name&nbsp;
+              <input
+                value={name}
+                maxLength={40}
+                onChange={(e) => setName(e.target.value)}
+              />
+            </label>
+            <div style={{ display: "flex", gap: 8 }}>
+              <button
+                disabled={!name.trim()}
+                onClick={() => onSave({ ...result, flipLR, name: name.trim() })}
+                style={{ fontWeight: 700 }}
+              >
+                Save profile
+              </button>
+              <button onClick={restart}>Start over</button>
+            </div>
+          </>
+        ) : (
+          <>
+            <span style={{ opacity: 0.8 }}>
+              Step {step + 1} of {POSES.length}
+            </span>
+            <span>{pose.text}</span>
+            <button
+              onClick={record}
+              disabled={sampling}
+              style={{ fontWeight: 700 }}
+            >
+              {sampling ? "Hold still…" : "Record"}
+            </button>
+          </>
+        )}
+
+        {error && <span style={{ color: "#e4572e" }}>{error}</span>}
+        <button onClick={onClose}>Cancel</button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,84 @@
+import React from "react";
+import { COMPARE_SEEDS, paneLayout } from "./compare.js";
+
+const RUN_NAMES = ["B", "C", "D"];
+
+/**
+ * HUD group for the split screen: pane count, the difference pane and
+ * each extra run's rule (blank = the main rule) and seed. validRule(text)
+ * says whether a typed rule fits the current family, states and radius.
+ */
+export default function CompareControls({ compare, setCompare, validRule }) {
+  const setRun = (i, patch) =>
+    setCompare((c) => ({
+      ...c,
+      runs: c.runs.map((run, j) => (j === i ? { ...run, ...patch } : run)),
+    }));
+  const { runs } = paneLayout(compare);
+
+  return (
+    <span
+      style={{
+        display: "inline-flex",
+        gap: 8,
+        alignItems: "center",
+        flexWrap: "wrap",
+      }}
+    >
+      <select
+        value={compare.panes}
+        onChange={(e) =>
+          setCompare((c) => ({ ...c, panes: Number(e.target.value) }))
+        }
+        title="split screen: runs side by side on one clock"
+      >
+        <option value={1}>one world</option>
+        <option value={2}>2 panes</option>
+        <option value={4}>4 panes</option>
+      </select>
+
+      {compare.panes > 1 && (
+        <>
+          <label title="last pane: cells where A and B disagree">
+            <input
+              type="checkbox"
+              checked={compare.diff}
+              onChange={(e) =>
+                setCompare((c) => ({ ...c, diff: e.target.checked }))
+              }
+            />
+            &nbsp;difference
+          </label>
+          {compare.runs.slice(0, runs).map((run, i) => (
+            <span key={RUN_NAMES[i]}>
+              {RUN_NAMES[i]}&nbsp;
+              <input
+                type="text"
+                inputMode="numeric"
+                placeholder="same rule"
+                value={run.rule}
+                onChange={(e) => setRun(i, { rule: e.target.value.trim() })}
+                style={{
+                  width: 84,
+                  borderColor:
+                    run.rule && !validRule(run.rule) ? "#c0392b" : undefined,
+                }}
+              />
+              &nbsp;
+              <select
+                value={run.seed}
+                onChange={(e) => setRun(i, { seed: e.target.value })}
+              >
+                {COMPARE_SEEDS.map((s) => (
+                  <option key={s.id} value={s.id}>
+                    {s.label}
+                  </option>
+                ))}
+              </select>
+            </span>
+          ))}
+        </>
+      )}
+    </span>
+  );
+}
@@ -0,0 +1,177 @@
+import React, { useState } from "react";
+import {
+  canvasToPng,
+  createGifRecorder,
+  createWebmRecorder,
+  downloadBlob,
+  rowsToBinary,
+  rowsToRle,
+  rowsToText,
+} from "./exporters.js";
+
+const row = { display: "inline-flex", gap: 6, alignItems: "center" };
+
+/**
+ * Export controls (lives inside the HUD).
+ * Recordings are driven by the tick loop through recorderRef.
+ */
+export default function ExportPanel({
+  canvasRef,
+  recorderRef,
+  getWorldCanvas,
+  getHistory,
+  getGen,
+  baseName,
+  ruleName,
+  states,
+  colors,
+  chrome,
+}) {
+  const [scale, setScale] = useState(1);
+  const [steps, setSteps] = useState(200);
+  const [videoFormat, setVideoFormat] = useState("gif");
+  const [cellFormat, setCellFormat] = useState("rle");
+  const [recording, setRecording] = useState(false);
+  const [status, setStatus] = useState("");
+
+  async function savePng() {
+    const world = getWorldCanvas();
+    if (!world) return;
+    try {
+      const blob = await canvasToPng(world, scale);
+      downloadBlob(
+        blob,
+        `${baseName}-${getGen()}${scale > 1 ? `@${scale}x` : ""}.png`,
+      );
+    } catch (err) {
+      setStatus(err.message);
+    }
+  }
+
+  function startRecording() {
+    const canvas = canvasRef.current;
+    if (!canvas || recorderRef.current) return;
+    const opts = { startGen: getGen(), steps };
+    let rec;
+    try {
+      rec =
+        videoFormat === "gif"
+          ? createGifRecorder({ ...opts, colors })
+          : createWebmRecorder(canvas, opts);
+    } catch (err) {
+      setStatus(err.message);
+      return;
+    }
+
+    const name = `${baseName}-${opts.startGen}-${steps}steps.${videoFormat}`;
+    recorderRef.current = {
+      onFrame: rec.onFrame,
+      finish: () => {
+        setStatus(`encoding ${videoFormat}…`);
+        return rec
+          .finish()
+          .then((blob) => {
+            downloadBlob(blob, name);
+            setStatus("");
+          })
+          .catch((err) => setStatus(err.message))
+          .finally(() => setRecording(false));
+      },
+    };
+    setRecording(true);
+    setStatus(`recording ${steps} steps…`);
+  }
+
+  function stopRecording() {
+    const rec = recorderRef.current;
+    recorderRef.current = null;
+    rec?.finish();
+  }
+
+  function saveCells() {
+    const rows = getHistory();
+    if (rows.length === 0) return;
+    let blob;
+    if (cellFormat === "txt") {
+      blob = new Blob([rowsToText(rows)], { type: "text/plain" });
+    } else if (cellFormat === "rle") {
+      blob = new Blob([rowsToRle(rows, ruleName, states)], {
+        type: "text/plain",
+      });
+    } else {
+      blob = new Blob([rowsToBinary(rows, states)], {
+        type: "application/octet-stream",
+      });
+    }
+    downloadBlob(blob, `${baseName}-${getGen()}.${cellFormat}`);
+  }
+
+  return (
+    <div
+      style={{
+        flexBasis: "100%",
+        display: "flex",
+        gap: 12,
+        flexWrap: "wrap",
+        alignItems: "center",
+        borderTop: `1px solid ${chrome.border}`,
+        paddingTop: 8,
+      }}
+    >
+      <span style={row}>
+        <select
+          value={scale}
+          onChange={(e) => setScale(Number(e.target.value))}
+        >
+          {[1, 2, 4, 8].map((s) => (
+            <option key={s} value={s}>
+              {s}× px/cell
+            </option>
+          ))}
+        </select>
+        <button onClick={savePng}>Save PNG</button>
+      </span>
+
+      <span style={row}>
+        <input
+          type="number"
+          min={1}
+          value={steps}
+          onChange={(e) =>
+            setSteps(Math.max(1, Math.floor(Number(e.target.value) || 1)))
+          }
+          style={{ width: 70 }}
+          disabled={recording}
+        />
+        steps as
+        <select
+          value={videoFormat}
+          onChange={(e) => setVideoFormat(e.target.value)}
+          disabled={recording}
+        >
+          <option value="gif">GIF</option>
+          <option value="webm">WebM</option>
+        </select>
+        {recording ? (
+          <button onClick={stopRecording}>Stop</button>
+        ) : (
+          <button onClick={startRecording}>Record</button>
+        )}
+      </span>
+
+      <span style={row}>
+        <select
+          value={cellFormat}
+          onChange={(e) => setCellFormat(e.target.value)}
+        >
+          <option value="rle">RLE</option>
+          <option value="txt">text (.#)</option>
+          <option value="bin">binary</option>
+        </select>
+        <button onClick={saveCells}>Save cells</button>
+      </span>
+
+      {status && <span style={{ opacity: 0.8 }}>{status}</span>}
+    </div>
+  );
+}
@@ -0,0 +1,235 @@
+import React, { useEffect, useMemo, useRef } from "react";
+import { createRng, makeRuleLUT, randomRow, runRows } from "./ca.js";
+import { ALL_RULES, UNIQUE_RULES, equivalentRules } from "./gallery.js";
+import { hexToRgb } from "./render.js";
+import { fitRow, placeCentered } from "./seeds.js";
+
+const THUMB_W = 120;
+const THUMB_H = 60;
+
+function Thumb({ rule, init, boundary, palette, rngSeed }) {
+  const ref = useRef(null);
+
+  useEffect(() => {
+    const canvas = ref.current;
+    if (!canvas) return;
+    const spec = { family: "general", k: 2, r: 1, lut: makeRuleLUT(rule) };
+    // deterministic edge noise per rule, so thumbnails don't flicker
+    const rand = createRng((rngSeed ^ Math.imul(rule, 2654435761)) >>> 0);
+    const rows = runRows(init, spec, THUMB_H - 1, boundary, rand);
+    const ctx = canvas.getContext("2d");
+    const img = ctx.createImageData(THUMB_W, THUMB_H);
+    const colors = [hexToRgb(palette[0]), hexToRgb(palette[1])];
+    rows.forEach((row, y) => {
+      for (let x = 0; x < THUMB_W; x++) {
+        const c = colors[row[x]];
+        const p = (y * THUMB_W + x) * 4;
+        img.data[p] = c[0];
+        img.data[p + 1] = c[1];
+        img.data[p + 2] = c[2];
+        img.data[p + 3] = 255;
+      }
+    });
+    ctx.putImageData(img, 0, 0);
+  }, [rule, init, boundary, palette, rngSeed]);
+
+  return (
+    <canvas
+      ref={ref}
+      width={THUMB_W}
+      height={THUMB_H}
+      style={{ width: "100%", imageRendering: "pixelated", display: "block" }}
+    />
+  );
+}
+
+/**
+ * Full-screen grid of every elementary rule. Tap to load, star to pin.
+ * Tour settings live in the parent so the tour keeps going when closed.
+ */
+export default function GalleryView({
+  current,
+  seedMode,
+  rngSeed,
+  density,
+  seedPattern,
+  boundary,
+  palette,
+  uniqueOnly,
+  setUniqueOnly,
+  favourites,
+  toggleFavourite,
+  tour,
+  setTour,
+  onPick,
+  onClose,
+  chrome,
+}) {
+  // the session's seed, cut down to thumbnail width
+  const init = useMemo(() => {
+    if (seedMode === "random") {
+      return randomRow(THUMB_W, 2, density, createRng(rngSeed));
+    }
+    if (seedMode === "pattern" && seedPattern) {
+      return fitRow(seedPattern, THUMB_W).map((v) => Math.min(v, 1));
+    }
+    return placeCentered(THUMB_W, [1]);
+  }, [seedMode, rngSeed, density, seedPattern]);
+
+  const rules = uniqueOnly ? UNIQUE_RULES : ALL_RULES;
+  const pinned = favourites.filter((r) => rules.includes(r));
+  const rest = rules.filter((r) => !favourites.includes(r));
+
+  function card(rule) {
+    const fav = favourites.includes(rule);
+    const others = uniqueOnly ? equivalentRules(rule).slice(1) : [];
+    return (
+      <div
+        key={rule}
+        onClick={() => onPick(rule)}
+        style={{
+          border: `2px solid ${rule === current ? "#2e86ab" : chrome.border}`,
+          borderRadius: 8,
+          padding: 4,
+          cursor: "pointer",
+          background: chrome.solid,
+        }}
+      >
+        <Thumb
+          rule={rule}
+          init={init}
+          boundary={boundary}
+          palette={palette}
+          rngSeed={rngSeed}
+        />
+        <div
+          style={{
+            display: "flex",
+            justifyContent: "space-between",
+            alignItems: "center",
+            fontSize: 12,
+            marginTop: 2,
+          }}
+        >
+          <span>
+            <b>{rule}</b>
+            {others.length > 0 && (
+              <span style={{ opacity: 0.6 }}> ≡ {others.join(", ")}</span>
+            )}
+          </span>
+          <button
+            onClick={(e) => {
+              e.stopPropagation();
+              toggleFavourite(rule);
+            }}
+            title={fav ? "unpin" : "pin"}
+            style={{ border: "none", background: "none", padding: 0 }}
+          >
+            {fav ? "★" : "☆"}
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  const grid = {
+    display: "grid",
+    gridTemplateColumns: "repeat(auto-fill, minmax(130px, 1fr))",
+    gap: 8,
+  };
+
+  return (
+    <div
+      style={{
+        position: "absolute",
+        inset: 0,
+        zIndex: 20,
+        overflow: "auto",
+        padding: 12,
+        background: chrome.backdrop,
+        color: chrome.text,
+        colorScheme: chrome.scheme,
+      }}
+    >
+      <div
+        style={{
+          display: "flex",
+          gap: 12,
+          flexWrap: "wrap",
+          alignItems: "center",
+          marginBottom: 12,
+        }}
+      >
+        <b>Rule gallery</b>
+        <label>
+          <input
+            type="checkbox"
+            checked={uniqueOnly}
+            onChange={(e) => setUniqueOnly(e.target.checked)}
+          />
+          &nbsp;unique only (88)
+        </label>
+
+        <span style={{ opacity: 0.8 }}>Tour:</span>
+        <button
+          onClick={() => setTour((t) => ({ ...t, on: !t.on }))}
+          style={{ fontWeight: tour.on ? 700 : 400 }}
+        >
+          {tour.on ? "Stop tour" : "Start tour"}
+        </button>
+        <label>
+          every&nbsp;
+          <input
+            type="number"
+            min={1}
+            max={600}
+            value={tour.seconds}
+            onChange={(e) =>
+              setTour((t) => ({
+                ...t,
+                seconds: Math.max(1, Number(e.target.value) || 1),
+              }))
+            }
+            style={{ width: 56 }}
+          />
+          &nbsp;s
+        </label>
+        <label>
+          <input
+            type="checkbox"
+            checked={tour.shake}
+            onChange={(e) =>
+              setTour((t) => ({ ...t, shake: e.target.checked }))
+            }
+          />
+          &nbsp;shake to advance
+        </label>
+        <label>
+          <input
+            type="checkbox"
+            checked={tour.favouritesOnly}
+            onChange={(e) =>
+              setTour((t) => ({ ...t, favouritesOnly: e.target.checked }))
+            }
+          />
+          &nbsp;favourites only
+        </label>
+
+        <button
+          onClick={onClose}
+          style={{ marginLeft: "auto", fontWeight: 700 }}
+        >
+          Close
+        </button>
+      </div>
+
+      {pinned.length > 0 && (
+        <>
+          <div style={{ margin: "4px 0", opacity: 0.8 }}>Pinned</div>
+          <div style={{ ...grid, marginBottom: 16 }}>{pinned.map(card)}</div>
+        </>
+      )}
+      <div style={grid}>{rest.map(card)}</div>
+    </div>
+  );
+}
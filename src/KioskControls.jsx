@@ -0,0 +1,117 @@
+import React from "react";
+
+/**
+ * HUD group for kiosk mode (see kiosk.js). Turning it on keeps the HUD
+ * open for now; it locks on the next idle reset or with Lock.
+ */
+export default function KioskControls({ kiosk, setKiosk, onLock }) {
+  const set = (patch) => setKiosk((k) => ({ ...k, ...patch }));
+  const seconds = (value, lo, hi, fallback) => {
+    const v = Math.floor(Number(value));
+    return Number.isFinite(v) ? Math.min(Math.max(v, lo), hi) : fallback;
+  };
+
+  return (
+    <span
+      style={{
+        display: "inline-flex",
+        gap: 8,
+        alignItems: "center",
+        flexWrap: "wrap",
+      }}
+    >
+      <label title="locked HUD, idle reset to an attract loop, screen kept on">
+        <input
+          type="checkbox"
+          checked={kiosk.on}
+          onChange={(e) => set({ on: e.target.checked })}
+        />
+        &nbsp;kiosk
+      </label>
+      {kiosk.on && (
+        <>
+          <label title="long-press anywhere, then this PIN, to open the HUD">
+            PIN&nbsp;
+            <input
+              type="text"
+              inputMode="numeric"
+              value={kiosk.pin}
+              onChange={(e) =>
+                set({ pin: e.target.value.replace(/\D/g, "").slice(0, 8) })
+              }
+              style={{ width: 64 }}
+            />
+          </label>
+          <label title="seconds without touch or tilt before the attract loop">
+            idle&nbsp;
+            <input
+              type="number"
+              min={10}
+              max={3600}
+              value={kiosk.idleSeconds}
+              onChange={(e) =>
+                set({
+                  idleSeconds: seconds(
+                    e.target.value,
+                    10,
+                    3600,
+                    kiosk.idleSeconds,
+                  ),
+                })
+              }
+              style={{ width: 64 }}
+            />
+            s
+          </label>
+          <label title="elementary rules the attract loop cycles through">
+            attract&nbsp;
+            <input
+              type="text"
+              value={kiosk.attractRules}
+              onChange={(e) => set({ attractRules: e.target.value })}
+              style={{ width: 160 }}
+            />
+          </label>
+          <label>
+            every&nbsp;
+            <input
+              type="number"
+              min={3}
+              max={600}
+              value={kiosk.attractSeconds}
+              onChange={(e) =>
+                set({
+                  attractSeconds: seconds(
+                    e.target.value,
+                    3,
+                    600,
+                    kiosk.attractSeconds,
+                  ),
+                })
+              }
+              style={{ width: 56 }}
+            />
+            s
+          </label>
+          <label>
+            <input
+              type="checkbox"
+              checked={kiosk.wakeLock}
+              onChange={(e) => set({ wakeLock: e.target.checked })}
+            />
+            &nbsp;keep screen on
+          </label>
+          <label>
+            <input
+              type="checkbox"
+              checked={kiosk.fullscreen}
+              onChange={(e) => set({ fullscreen: e.target.checked })}
+            />
+            &nbsp;fullscreen on touch
+          </label>
+          <button onClick={onLock}>Lock</button>
+        </>
+      )}
+    </span>
+  );
+}
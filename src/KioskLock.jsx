@@ -0,0 +1,123 @@
+import React, { useEffect, useState } from "react";
+import { LONG_PRESS_MS } from "./kiosk.js";
+
+// a press that wanders further than this (px) is a drag, not a long press
+const PRESS_SLOP = 12;
+const KEYS = ["1", "2", "3", "4", "5", "6", "7", "8", "9", "", "0", "⌫"];
+
+/**
+ * HUD lock for kiosk mode: holding a finger still anywhere for
+ * LONG_PRESS_MS brings up a PIN pad; the right PIN calls onUnlock.
+ */
+export default function KioskLock({ pin, onUnlock, chrome }) {
+  const [asking, setAsking] = useState(false);
+  const [entry, setEntry] = useState("");
+  const [wrong, setWrong] = useState(false);
+
+  useEffect(() => {
+    let timer = 0;
+    let start = null;
+    const cancel = () => {
+      clearTimeout(timer);
+      start = null;
+    };
+    function onDown(e) {
+      cancel();
+      start = { x: e.clientX, y: e.clientY };
+      timer = setTimeout(() => {
+        setAsking(true);
+        setEntry("");
+        setWrong(false);
+      }, LONG_PRESS_MS);
+    }
+    function onMove(e) {
+      if (
+        start &&
+        Math.hypot(e.clientX - start.x, e.clientY - start.y) > PRESS_SLOP
+      ) {
+        cancel();
+      }
+    }
+    window.addEventListener("pointerdown", onDown);
+    window.addEventListener("pointermove", onMove);
+    window.addEventListener("pointerup", cancel);
+    window.addEventListener("pointercancel", cancel);
+    return () => {
+      cancel();
+      window.removeEventListener("pointerdown", onDown);
+      window.removeEventListener("pointermove", onMove);
+      window.removeEventListener("pointerup", cancel);
+      window.removeEventListener("pointercancel", cancel);
+    };
+  }, []);
+
+  function press(key) {
+    if (key === "⌫") {
+      setEntry((s) => s.slice(0, -1));
+      return;
+    }
+    const next = entry + key;
+    if (next === pin) {
+      setAsking(false);
+      onUnlock();
+    } else if (next.length >= pin.length) {
+      setWrong(true);
+      setEntry("");
+    } else {
+      setWrong(false);
+      setEntry(next);
+    }
+  }
+
+  if (!asking) return null;
+  return (
+    <div
+      onPointerDown={(e) => e.stopPropagation()}
+      style={{
+        position: "absolute",
+        inset: 0,
+        zIndex: 30,
+        display: "grid",
+        placeItems: "center",
+        background: "rgba(0,0,0,0.4)",
+      }}
+    >
+      <div
+        style={{
+          padding: 16,
+          borderRadius: 12,
+          border: `1px solid ${chrome.border}`,
+          background: chrome.panel,
+          color: chrome.text,
+          display: "grid",
+          gridTemplateColumns: "repeat(3, 64px)",
+          gap: 8,
+          textAlign: "center",
+        }}
+      >
+        <div style={{ gridColumn: "1 / -1", minHeight: 24 }}>
+          {wrong ? "wrong PIN" : "•".repeat(entry.length) || "PIN"}
+        </div>
+        {KEYS.map((key, i) =>
+          key ? (
+            <button
+              key={key}
+              onClick={() => press(key)}
+              style={{ height: 56, fontSize: 22 }}
+            >
+              {key}
+            </button>
+          ) : (
+            <span key={`gap${i}`} />
+          ),
+        )}
+        <button
+          onClick={() => setAsking(false)}
+          style={{ gridColumn: "1 / -1" }}
+        >
+          Cancel
+        </button>
+      </div>
+    </div>
+  );
+}
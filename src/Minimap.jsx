@@ -0,0 +1,80 @@
+import React, { useEffect, useRef } from "react";
+import { centerOn } from "./camera.js";
+
+const MAX_SIDE = 160;
+const REDRAW_FRAMES = 15; // the world thumbnail is dear at xl sizes
+
+/**
+ * Whole-world thumbnail with the camera's visible region outlined.
+ * Tap to centre the camera there.
+ */
+export default function Minimap({ offRef, camRef, chrome }) {
+  const ref = useRef(null);
+
+  useEffect(() => {
+    const canvas = ref.current;
+    if (!canvas) return;
+    const ctx = canvas.getContext("2d");
+    const thumb = document.createElement("canvas");
+    let frame = 0;
+    let raf = 0;
+
+    function draw() {
+      const view = offRef.current.view?.canvas;
+      const L = camRef.current.layout;
+      if (view && L) {
+        const k = MAX_SIDE / Math.max(L.gw, L.gh);
+        const w = Math.max(1, Math.round(L.gw * k));
+        const h = Math.max(1, Math.round(L.gh * k));
+        if (canvas.width !== w || canvas.height !== h) {
+          canvas.width = w;
+          canvas.height = h;
+          thumb.width = w;
+          thumb.height = h;
+          frame = 0;
+        }
+        if (frame % REDRAW_FRAMES === 0) {
+          const tctx = thumb.getContext("2d");
+          tctx.clearRect(0, 0, w, h);
+          tctx.drawImage(view, 0, 0, w, h);
+        }
+        frame++;
+
+        ctx.clearRect(0, 0, w, h);
+        ctx.drawImage(thumb, 0, 0);
+        ctx.strokeStyle = "#e4572e";
+        ctx.lineWidth = 2;
+        ctx.strokeRect(L.sx * k, L.sy * k, L.sw * k, L.sh * k);
+      }
+      raf = requestAnimationFrame(draw);
+    }
+    raf = requestAnimationFrame(draw);
+    return () => cancelAnimationFrame(raf);
+  }, [offRef, camRef]);
+
+  function onPointerDown(e) {
+    const L = camRef.current.layout;
+    if (!L) return;
+    const rect = e.currentTarget.getBoundingClientRect();
+    const wx = ((e.clientX - rect.left) / rect.width) * L.gw;
+    const wy = ((e.clientY - rect.top) / rect.height) * L.gh;
+    centerOn(camRef.current, wx, wy);
+  }
+
+  return (
+    <canvas
+      ref={ref}
+      onPointerDown={onPointerDown}
+      style={{
+        position: "absolute",
+        right: 12,
+        bottom: 96,
+        zIndex: 10,
+        border: `1px solid ${chrome.border}`,
+        borderRadius: 4,
+        background: chrome.solid,
+        cursor: "crosshair",
+      }}
+    />
+  );
+}
@@ -0,0 +1,106 @@
+import React from "react";
+import { TILT_TARGETS, makeRuleLUT } from "./ca.js";
+
+// LUT index order, highest neighbourhood first like Wolfram's rule icons
+const NEIGHBORHOODS = [7, 6, 5, 4, 3, 2, 1, 0];
+
+/**
+ * HUD group for the stochastic variants: flip noise, async updating,
+ * per-neighbourhood probabilities (elementary rules only) and what tilt
+ * drives. With tilt on noise, the rates below are the full-tilt values.
+ */
+export default function NoiseControls({
+  noise,
+  setNoise,
+  tiltDrives,
+  setTiltDrives,
+  rule,
+  elementary,
+}) {
+  const set = (patch) => setNoise((n) => ({ ...n, ...patch }));
+
+  return (
+    <span
+      style={{
+        display: "inline-flex",
+        gap: 8,
+        alignItems: "center",
+        flexWrap: "wrap",
+      }}
+    >
+      <label title="chance per cell per step of a random state change">
+        flip&nbsp;
+        <input
+          type="range"
+          min={0}
+          max={0.2}
+          step={0.001}
+          value={noise.flip}
+          onChange={(e) => set({ flip: Number(e.target.value) })}
+        />
+        &nbsp;{(noise.flip * 100).toFixed(1)}%
+      </label>
+      <label title="chance per cell per step of updating at all">
+        async p&nbsp;
+        <input
+          type="range"
+          min={0}
+          max={1}
+          step={0.01}
+          value={noise.async}
+          onChange={(e) => set({ async: Number(e.target.value) })}
+        />
+        &nbsp;{noise.async.toFixed(2)}
+      </label>
+      <select
+        value={tiltDrives}
+        onChange={(e) => setTiltDrives(e.target.value)}
+      >
+        {TILT_TARGETS.map((t) => (
+          <option key={t.id} value={t.id}>
+            {t.label}
+          </option>
+        ))}
+      </select>
+
+      {elementary && (
+        <label>
+          <input
+            type="checkbox"
+            checked={!!noise.probLut}
+            onChange={(e) =>
+              set({
+                // start from the rule itself: 0/1 per neighbourhood
+                probLut: e.target.checked
+                  ? Array.from(makeRuleLUT(rule))
+                  : null,
+              })
+            }
+          />
+          &nbsp;probabilistic LUT
+        </label>
+      )}
+      {elementary &&
+        noise.probLut &&
+        NEIGHBORHOODS.map((idx) => (
+          <label key={idx} style={{ fontFamily: "monospace" }}>
+            {idx.toString(2).padStart(3, "0")}&nbsp;
+            <input
+              type="number"
+              min={0}
+              max={1}
+              step={0.05}
+              value={noise.probLut[idx]}
+              onChange={(e) => {
+                const v = Math.min(1, Math.max(0, Number(e.target.value) || 0));
+                set({
+                  probLut: noise.probLut.map((p, i) => (i === idx ? v : p)),
+                });
+              }}
+              style={{ width: 56 }}
+            />
+          </label>
+        ))}
+    </span>
+  );
+}
@@ -0,0 +1,124 @@
+import React, { useEffect, useState } from "react";
+import { historyRows } from "./world.js";
+import { findParticles, particleSeed } from "./particles.js";
+
+// newest generations scanned; the scan runs on the main thread
+const SCAN_ROWS = 256;
+const SCAN_EVERY_MS = 1500;
+const MAX_LISTED = 40;
+
+function describeSpeed({ shift, period }) {
+  if (shift === 0) return "still";
+  return `${shift > 0 ? "+" : ""}${shift}/${period}`;
+}
+
+/**
+ * Pattern search readout: ether, particles and collisions found in the
+ * newest history, rescanned every SCAN_EVERY_MS. The latest scan also goes
+ * to scanRef so the frame loop can label it on the canvas. onExtract gets
+ * a W-cell initial row holding one chosen particle.
+ */
+export default function ParticlePanel({
+  gridRef,
+  scanRef,
+  r,
+  wrap,
+  onExtract,
+  chrome,
+}) {
+  const [scan, setScan] = useState(null);
+
+  useEffect(() => {
+    function rescan() {
+      const g = gridRef.current;
+      const rows = historyRows(g).slice(-SCAN_ROWS);
+      const next = findParticles(rows, {
+        r,
+        wrap,
+        firstGen: g.gen - rows.length + 1,
+      });
+      scanRef.current = next;
+      setScan(next);
+    }
+    rescan();
+    const id = setInterval(rescan, SCAN_EVERY_MS);
+    return () => {
+      clearInterval(id);
+      scanRef.current = null;
+    };
+  }, [gridRef, scanRef, r, wrap]);
+
+  const particles = scan
+    ? [...scan.particles].sort((a, b) => b.alive - a.alive || a.x - b.x)
+    : [];
+
+  return (
+    <div
+      style={{
+        position: "absolute",
+        right: 12,
+        top: 64,
+        zIndex: 10,
+        padding: 12,
+        borderRadius: 12,
+        border: `1px solid ${chrome.border}`,
+        background: chrome.panel,
+        color: chrome.text,
+        colorScheme: chrome.scheme,
+        fontSize: 13,
+        maxHeight: "calc(100vh - 200px)",
+        overflowY: "auto",
+      }}
+    >
+      {!scan ? (
+        <span>scanning…</span>
+      ) : !scan.ether ? (
+        <span>no ether: nothing periodic to subtract</span>
+      ) : (
+        <>
+          <div>
+            ether period <b>{scan.ether.period}</b> (
+            {(scan.ether.score * 100).toFixed(0)}% fit) ·{" "}
+            <b>{scan.collisions.length}</b> collisions
+          </div>
+          {particles.length === 0 ? (
+            <div style={{ marginTop: 6 }}>no particles yet</div>
+          ) : (
+            <table style={{ marginTop: 6, borderSpacing: "8px 2px" }}>
+              <thead>
+                <tr>
+                  <th>#</th>
+                  <th>speed</th>
+                  <th>period</th>
+                  <th>width</th>
+                  <th />
+                </tr>
+              </thead>
+              <tbody>
+                {particles.slice(0, MAX_LISTED).map((p) => (
+                  <tr key={p.id} style={{ opacity: p.alive ? 1 : 0.5 }}>
+                    <td>{p.id}</td>
+                    <td>{describeSpeed(p)}</td>
+                    <td>{p.period}</td>
+                    <td>{p.width}</td>
+                    <td>
+                      <button
+                        onClick={() =>
+                          onExtract(
+                            particleSeed(p, gridRef.current.current.length),
+                          )
+                        }
+                      >
+                        use as seed
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,118 @@
+import React, { useState } from "react";
+import { downloadBlob } from "./exporters.js";
+import {
+  exportPresets,
+  mergePresets,
+  normalizePreset,
+  parsePresets,
+} from "./presets.js";
+
+/**
+ * HUD group for named presets: save the current configuration under a
+ * name, load or delete one, and move the whole library between devices as
+ * a JSON file. current() returns { session, hudOpen } for saving.
+ */
+export default function PresetControls({
+  presets,
+  setPresets,
+  current,
+  onLoad,
+}) {
+  const [selected, setSelected] = useState("");
+  const [name, setName] = useState("");
+  const [status, setStatus] = useState("");
+  const chosen = presets.find((p) => p.name === selected);
+
+  function flash(text) {
+    setStatus(text);
+    setTimeout(() => setStatus(""), 2000);
+  }
+
+  function save() {
+    const p = normalizePreset({ ...current(), name });
+    if (!p) return;
+    setPresets(mergePresets(presets, [p]));
+    setSelected(p.name);
+    setName("");
+    flash(`saved "${p.name}"`);
+  }
+
+  function remove() {
+    setPresets(presets.filter((p) => p.name !== selected));
+    setSelected("");
+  }
+
+  function exportAll() {
+    const blob = new Blob([exportPresets(presets)], {
+      type: "application/json",
+    });
+    downloadBlob(blob, "ca-arcade-presets.json");
+  }
+
+  async function importFile(file) {
+    try {
+      const incoming = parsePresets(await file.text());
+      setPresets(mergePresets(presets, incoming));
+      flash(`imported ${incoming.length} presets`);
+    } catch (err) {
+      flash(`import failed: ${err.message}`);
+    }
+  }
+
+  return (
+    <span
+      style={{
+        display: "inline-flex",
+        gap: 8,
+        alignItems: "center",
+        flexWrap: "wrap",
+      }}
+    >
+      <label>
+        Preset&nbsp;
+        <select value={selected} onChange={(e) => setSelected(e.target.value)}>
+          <option value="">—</option>
+          {presets.map((p) => (
+            <option key={p.name} value={p.name}>
+              {p.name}
+            </option>
+          ))}
+        </select>
+      </label>
+      <button onClick={() => onLoad(chosen)} disabled={!chosen}>
+        Load
+      </button>
+      <button onClick={remove} disabled={!chosen}>
+        Delete
+      </button>
+      <input
+        type="text"
+        placeholder="name"
+        value={name}
+        onChange={(e) => setName(e.target.value)}
+        onKeyDown={(e) => e.key === "Enter" && save()}
+        style={{ width: 100 }}
+      />
+      <button onClick={save} disabled={!name.trim()}>
+        Save preset
+      </button>
+      <button onClick={exportAll} disabled={presets.length === 0}>
+        Export presets
+      </button>
+      <label style={{ cursor: "pointer" }}>
+        <span style={{ textDecoration: "underline" }}>Import presets</span>
+        <input
+          type="file"
+          accept="application/json,.json"
+          style={{ display: "none" }}
+          onChange={(e) => {
+            const file = e.target.files?.[0];
+            e.target.value = "";
+            if (file) importFile(file);
+          }}
+        />
+      </label>
+      {status && <span style={{ opacity: 0.8 }}>{status}</span>}
+    </span>
+  );
+}
@@ -0,0 +1,161 @@
+import React, { useEffect, useRef, useState } from "react";
+import {
+  SEED_PRESETS,
+  formatBitString,
+  parseBitString,
+  placeCentered,
+  tileRow,
+} from "./seeds.js";
+
+// Visible window of the row: VIEW cells, CELL px each
+const VIEW = 96;
+const CELL = 7;
+
+/**
+ * Initial-row editor: paint cells in a scrollable strip, load a preset,
+ * or paste a bit string. Every edit hands a new Uint8Array to onChange.
+ */
+export default function SeedEditor({ pattern, states, palette, onChange }) {
+  const n = pattern.length;
+  const view = Math.min(VIEW, n);
+  const canvasRef = useRef(null);
+  const paintRef = useRef(null); // value being painted while the pointer is down
+
+  const [offset, setOffset] = useState(Math.max(0, Math.floor((n - view) / 2)));
+  const [brush, setBrush] = useState(1);
+  const [bits, setBits] = useState("");
+  const [status, setStatus] = useState("");
+
+  const start = Math.min(offset, n - view);
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas) return;
+    const ctx = canvas.getContext("2d");
+    for (let i = 0; i < view; i++) {
+      ctx.fillStyle = palette[pattern[start + i]] ?? palette[1];
+      ctx.fillRect(i * CELL, 0, CELL, CELL * 2);
+      // faint grid so single cells are findable
+      ctx.fillStyle = "rgba(0,0,0,0.15)";
+      ctx.fillRect(i * CELL, 0, 1, CELL * 2);
+    }
+  }, [pattern, start, view, palette]);
+
+  function cellAt(e) {
+    const rect = canvasRef.current.getBoundingClientRect();
+    const i = Math.floor(((e.clientX - rect.left) / rect.width) * view);
+    return start + Math.max(0, Math.min(view - 1, i));
+  }
+
+  function paint(x) {
+    if (pattern[x] === paintRef.current) return;
+    const next = pattern.slice();
+    next[x] = paintRef.current;
+    onChange(next);
+  }
+
+  function applyBits(tile) {
+    const parsed = parseBitString(bits, states);
+    if (!parsed) {
+      setStatus(`use digits 0–${states - 1} (or . and #)`);
+      return;
+    }
+    setStatus("");
+    onChange(tile ? tileRow(n, parsed) : placeCentered(n, parsed));
+  }
+
+  const brushState = Math.min(brush, states - 1);
+
+  return (
+    <div
+      style={{
+        flexBasis: "100%",
+        display: "flex",
+        gap: 8,
+        flexWrap: "wrap",
+        alignItems: "center",
+      }}
+    >
+      <canvas
+        ref={canvasRef}
+        width={view * CELL}
+        height={CELL * 2}
+        style={{
+          border: "1px solid #ccc",
+          cursor: "crosshair",
+          touchAction: "none",
+          maxWidth: "100%",
+          imageRendering: "pixelated",
+        }}
+        onPointerDown={(e) => {
+          e.currentTarget.setPointerCapture(e.pointerId);
+          const x = cellAt(e);
+          paintRef.current = pattern[x] === brushState ? 0 : brushState;
+          paint(x);
+        }}
+        onPointerMove={(e) => {
+          if (paintRef.current !== null) paint(cellAt(e));
+        }}
+        onPointerUp={() => {
+          paintRef.current = null;
+        }}
+      />
+      <input
+        type="range"
+        min={0}
+        max={n - view}
+        value={start}
+        onChange={(e) => setOffset(Number(e.target.value))}
+        title={`cells ${start}–${start + view - 1} of ${n}`}
+      />
+      {states > 2 && (
+        <select
+          value={brushState}
+          onChange={(e) => setBrush(Number(e.target.value))}
+          title="paint state"
+        >
+          {Array.from({ length: states - 1 }, (_, i) => i + 1).map((v) => (
+            <option key={v} value={v}>
+              state {v}
+            </option>
+          ))}
+        </select>
+      )}
+      <select
+        value=""
+        onChange={(e) => {
+          const preset = SEED_PRESETS.find((p) => p.id === e.target.value);
+          if (preset) onChange(preset.make(n));
+        }}
+      >
+        <option value="" disabled>
+          load preset…
+        </option>
+        {SEED_PRESETS.map((p) => (
+          <option key={p.id} value={p.id}>
+            {p.label}
+          </option>
+        ))}
+      </select>
+      <input
+        type="text"
+        placeholder="bits, e.g. 0110111"
+        value={bits}
+        onChange={(e) => setBits(e.target.value)}
+        style={{ width: 140 }}
+      />
+      <button onClick={() => applyBits(false)}>Place</button>
+      <button onClick={() => applyBits(true)}>Tile</button>
+      <button
+        onClick={() =>
+          setBits(formatBitString(pattern.subarray(start, start + view)))
+        }
+        title="copy the visible cells into the bit string box"
+      >
+        Grab
+      </button>
+      <button onClick={() => onChange(new Uint8Array(n))}>Clear</button>
+      {status && <span style={{ opacity: 0.8 }}>{status}</span>}
+    </div>
+  );
+}
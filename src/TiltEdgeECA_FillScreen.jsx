@@ -1,175 +1,466 @@
-import React, { useEffect, useMemo, useRef, useState } from "react";
-
-function clamp(x, a, b) {
-  return Math.max(a, Math.min(b, x));
-}
-
-function makeRuleLUT(rule) {
-  return new Array(8).fill(0).map((_, i) => (rule >> i) & 1);
-}
-
-// Fixed boundary (no wrap): out-of-bounds treated as 0
-function stepECA(prev, lut) {
-  const n = prev.length;
-  const next = new Uint8Array(n);
-  for (let i = 0; i < n; i++) {
-    const left = i === 0 ? 0 : prev[i - 1];
-    const mid = prev[i];
-    const right = i === n - 1 ? 0 : prev[i + 1];
-    const idx = (left << 2) | (mid << 1) | right;
-    next[i] = lut[idx];
+import React, {
+  useEffect,
+  useEffectEvent,
+  useMemo,
+  useRef,
+  useState,
+} from "react";
+import {
+  BOUNDARY_MODES,
+  DEFAULT_HYBRID,
+  DEFAULT_NOISE,
+  HYBRID_MODES,
+  LIFE_PRESETS,
+  MAX_RADIUS,
+  MAX_STATES,
+  RULE_FAMILIES,
+  clamp,
+  driftWorld,
+  formatLifeRule,
+  makeRuleLUT,
+  maxRuleCode,
+  noiseActive,
+  parseLifeRule,
+  randomSeed,
+  ruleLabel,
+  stepLife,
+} from "./ca.js";
+import AnalysisPanel from "./AnalysisPanel.jsx";
+import CompareControls from "./CompareControls.jsx";
+import NoiseControls from "./NoiseControls.jsx";
+import ParticlePanel from "./ParticlePanel.jsx";
+import { createAnalyzer } from "./analysis.js";
+import ExportPanel from "./ExportPanel.jsx";
+import KioskControls from "./KioskControls.jsx";
+import KioskLock from "./KioskLock.jsx";
+import PresetControls from "./PresetControls.jsx";
+import {
+  loadLastSession,
+  loadPresets,
+  savePresets,
+  saveLastSession,
+} from "./presets.js";
+import {
+  DEFAULT_KIOSK,
+  enterFullscreen,
+  keepScreenOn,
+  loadKiosk,
+  parseRuleList,
+  saveKiosk,
+} from "./kiosk.js";
+import { downloadBlob } from "./exporters.js";
+import TiltIndicator from "./TiltIndicator.jsx";
+import TimelineBar from "./TimelineBar.jsx";
+import { easeAngle, edgeAngle, tiltAngle } from "./flow.js";
+import {
+  COMPARE_SEEDS,
+  DEFAULT_COMPARE,
+  paneLayout,
+  paneRects,
+} from "./compare.js";
+import { historyRows } from "./world.js";
+import { compareRule } from "./simulation.js";
+import { useSimulation } from "./useSimulation.js";
+import { SONIFY_MAPPINGS, createSonifier } from "./sonify.js";
+import { createVirtualTilt } from "./virtualTilt.js";
+import { MAX_ZOOM, MIN_ZOOM, createCamera, panBy, zoomAt } from "./camera.js";
+import Minimap from "./Minimap.jsx";
+import {
+  createTracePlayer,
+  createTraceRecorder,
+  parseTrace,
+} from "./sensorTrace.js";
+import GalleryView from "./GalleryView.jsx";
+import {
+  ALL_RULES,
+  UNIQUE_RULES,
+  loadFavourites,
+  saveFavourites,
+} from "./gallery.js";
+import SeedEditor from "./SeedEditor.jsx";
+import CalibrationWizard from "./CalibrationWizard.jsx";
+import {
+  BUILTIN_PROFILES,
+  computeSpeed01,
+  defaultProfileName,
+  dominantEdgeFromTilt,
+  findProfile,
+  loadProfiles,
+  loadSelectedProfile,
+  normalizeProfile,
+  rawFromTilt,
+  saveProfiles,
+  saveSelectedProfile,
+  tiltVector,
+} from "./sensorProfiles.js";
+import { SEED_PRESETS, fitRow } from "./seeds.js";
+import {
+  WORLD_PRESETS,
+  decodePermalink,
+  encodePermalink,
+  permalinkRuleKey,
+} from "./permalink.js";
+import {
+  COLOR_MODES,
+  DEFAULT_PALETTE,
+  PALETTE_PRESETS,
+  drawFlowFrame,
+  drawFrame,
+  drawMarkers,
+  hexToRgb,
+  modeColors,
+  startFrameLoop,
+} from "./render.js";
+
+// Generations per batch while jumping ahead (nothing is drawn meanwhile)
+const FAST_FORWARD_BATCH = 4096;
+
+// Split screen: difference pane colour and the runs' names after "A"
+const DIFF_RGB = [228, 87, 46];
+const RUN_NAMES = ["B", "C", "D"];
+
+// HUD chrome per theme; each theme also has a default canvas palette
+const THEMES = {
+  light: {
+    palette: "Classic",
+    panel: "rgba(255,255,255,0.9)",
+    solid: "#fff", // cards and dialogs
+    veil: "rgba(255,255,255,0.85)", // behind a dialog, under the tilt dot
+    backdrop: "rgba(255,255,255,0.97)", // full-screen views
+    border: "#ddd",
+    muted: "#999", // lines drawn on canvases
+    text: "#000",
+    scheme: "light",
+  },
+  dark: {
+    palette: "Dark",
+    panel: "rgba(24,26,32,0.9)",
+    solid: "#181a20",
+    veil: "rgba(24,26,32,0.85)",
+    backdrop: "rgba(24,26,32,0.97)",
+    border: "#444",
+    muted: "#777",
+    text: "#eee",
+    scheme: "dark",
+  },
+};
+const THEME_KEY = "ca-arcade.theme";
+
+function loadTheme() {
+  try {
+    const t = localStorage.getItem(THEME_KEY);
+    if (t in THEMES) return t;
+  } catch {
+    // storage disabled
   }
-  return next;
+  return window.matchMedia?.("(prefers-color-scheme: dark)").matches
+    ? "dark"
+    : "light";
 }
 
-/**
- * Honor Pad 9 gamma sign fix:
- * Your device reports gamma sign opposite to our original assumption,
- * so we swap left/right *label decision* here.
- */
-function dominantEdgeFromTilt(beta, gamma, deadzone = 6) {
-  const ab = Math.abs(beta);
-  const ag = Math.abs(gamma);
-  if (ab < deadzone && ag < deadzone) return null;
-
-  if (ag >= ab) {
-    // swapped for Honor
-    return gamma >= 0 ? "left" : "right";
-  }
-  return beta >= 0 ? "top" : "bottom";
-}
-
-/**
- * Map CA coords (t,x) into a logical pixel grid (gw x gh).
- * This controls the *visual fall direction*.
- *
- * You said: label is correct, but CA should move in opposite direction.
- * So: for LEFT edge, newest time should appear at the LEFTmost side (sx=0).
- * For RIGHT edge, newest time should appear at the RIGHTmost side (sx=gw-1).
- *
- * With t increasing (older->newer), we anchor:
- * - right: sx = t (newest at gw-1)
- * - left : sx = (gw-1 - t) (newest at 0)
- */
-function mapToScreen(edge, t, x, W, H, flipLR = false) {
-  switch (edge) {
-    case "bottom":
-      return { sx: x, sy: t };
-    case "top":
-      return { sx: x, sy: H - 1 - t };
-
-    case "right":
-      // current behavior (Android/Honor): newest on LEFT
-      // iOS wants the opposite: newest on RIGHT
-      return flipLR ? { sx: t, sy: x } : { sx: H - 1 - t, sy: x };
-
-    case "left":
-      // current behavior (Android/Honor): newest on RIGHT
-      // iOS wants the opposite: newest on LEFT
-      return flipLR ? { sx: H - 1 - t, sy: x } : { sx: t, sy: x };
-
-    default:
-      return { sx: x, sy: t };
-  }
+// Pointer event -> canvas pixel coordinates (the canvas is DPR-scaled)
+function canvasPoint(canvas, e) {
+  const rect = canvas.getBoundingClientRect();
+  return {
+    x: ((e.clientX - rect.left) * canvas.width) / rect.width,
+    y: ((e.clientY - rect.top) * canvas.height) / rect.height,
+  };
 }
 
 export default function TiltEdgeECA_FillScreen() {
-  // CA size in cells (world size)
+  // Anything in the URL hash (shared link) wins over the defaults below;
+  // with no hash, the last session picks up where it left off
+  const [restored] = useState(loadLastSession);
+  const [linked] = useState(() =>
+    decodePermalink(window.location.hash || (restored?.session ?? "")),
+  );
+
   // World size preset (bigger = more detail when zooming out)
-  const [worldPreset, setWorldPreset] = useState("med"); // "low" | "med" | "high"
+  const [worldPreset, setWorldPreset] = useState(linked.worldPreset ?? "med"); // "low" | "med" | "high" | "xl"
 
-  const { W, H } = useMemo(() => {
-    if (worldPreset === "low") return { W: 520, H: 360 };
-    if (worldPreset === "high") return { W: 1400, H: 900 };
-    return { W: 900, H: 600 }; // med (good for Honor Pad)
-  }, [worldPreset]);
+  const { W, H } = WORLD_PRESETS[worldPreset];
 
   const containerRef = useRef(null);
   const canvasRef = useRef(null);
-  const rafRef = useRef(null);
 
   // --- RULE INPUT FIX (no snapping while typing) ---
-  const [rule, setRule] = useState(110);
-  const [ruleText, setRuleText] = useState("110");
-  const lut = useMemo(() => makeRuleLUT(rule), [rule]);
+  // rule is a BigInt: k-color / radius-r codes easily exceed 2^53
+  const [rule, setRule] = useState(linked.rule ?? 110n);
+  const [ruleText, setRuleText] = useState(String(linked.rule ?? 110n));
+
+  // Rule family, number of states and neighborhood radius
+  const [ruleFamily, setRuleFamily] = useState(linked.ruleFamily ?? "general");
+  const [states, setStates] = useState(linked.states ?? 2);
+  const [radius, setRadius] = useState(linked.radius ?? 1);
+
+  // Hybrid: a second rule B (same family/k/r) mixed in over time or space
+  const [hybrid, setHybrid] = useState(linked.hybrid ?? DEFAULT_HYBRID);
+  const [ruleBText, setRuleBText] = useState(String(hybrid.ruleB));
+  // morph probability when no tilt drives it
+  const [morphBase, setMorphBase] = useState(0.5);
+
+  // Stochastic variants; tilt can drive the noise level instead of speed
+  const [noise, setNoise] = useState(linked.noise ?? DEFAULT_NOISE);
+  const [tiltDrives, setTiltDrives] = useState(linked.tiltDrives ?? "speed");
+  // per-neighbourhood probabilities only make sense for plain k=2 r=1 rules
+  const elementary =
+    ruleFamily === "general" &&
+    states === 2 &&
+    radius === 1 &&
+    hybrid.mode === "off";
+
+  const ruleSpec = useMemo(
+    () => ({
+      family: ruleFamily,
+      k: states,
+      r: radius,
+      lut: makeRuleLUT(rule, ruleFamily, states, radius),
+      hybrid:
+        hybrid.mode === "off"
+          ? undefined
+          : {
+              mode: hybrid.mode,
+              every: hybrid.every,
+              stripe: hybrid.stripe,
+              lutB: makeRuleLUT(hybrid.ruleB, ruleFamily, states, radius),
+            },
+    }),
+    [rule, ruleFamily, states, radius, hybrid],
+  );
+
+  // What the stepper runs: the rule plus noise, which can change mid-run
+  const stepSpec = useMemo(
+    () =>
+      noiseActive(noise)
+        ? {
+            ...ruleSpec,
+            noise: { ...noise, probLut: elementary ? noise.probLut : null },
+          }
+        : ruleSpec,
+    [ruleSpec, noise, elementary],
+  );
+
+  // One color per state
+  const [palette, setPalette] = useState(linked.palette ?? DEFAULT_PALETTE);
+  const paletteRgb = useMemo(() => palette.map(hexToRgb), [palette]);
+  const [colorMode, setColorMode] = useState(linked.colorMode ?? "state");
+  const [theme, setTheme] = useState(loadTheme);
+  const chrome = THEMES[theme];
 
   const [running, setRunning] = useState(true);
 
+  // Simulation mode: 1D rule scrolling to the edge, or 2D Life-like world
+  const [simMode, setSimMode] = useState(linked.simMode ?? "1d"); // "1d" | "life"
+  const [lifeRuleText, setLifeRuleText] = useState(
+    linked.lifeRuleText ?? "B3/S23",
+  );
+  const [lifeRuleDraft, setLifeRuleDraft] = useState(lifeRuleText);
+  const lifeRule = useMemo(() => parseLifeRule(lifeRuleText), [lifeRuleText]);
+  // Chance per step (at full tilt) that the 2D world drifts one cell
+  const [gravity, setGravity] = useState(linked.gravity ?? 0.3);
+
+  // Boundary condition used by stepECA
+  const [boundary, setBoundary] = useState(linked.boundary ?? "fixed0");
+
   // Seed mode
-  const [seedMode, setSeedMode] = useState("single"); // "single" | "random"
+  const [seedMode, setSeedMode] = useState(linked.seedMode ?? "single"); // "single" | "random" | "pattern"
+
+  // Random mode: PRNG seed + live-cell density, so a run can be replayed
+  const [rngSeed, setRngSeed] = useState(linked.rngSeed ?? randomSeed);
+  const [density, setDensity] = useState(linked.density ?? 0.5);
+
+  // Pattern mode: hand-edited initial row (re-centered if the world resizes)
+  const [seedPattern, setSeedPattern] = useState(linked.init ?? null);
 
   // Zoom multiplier
-  const [zoom, setZoom] = useState(1);
+  const [zoom, setZoom] = useState(linked.zoom ?? 1);
+
+  // Free camera: pan/zoom gestures write camRef directly (no re-render per
+  // frame); zoom is mirrored into state for the HUD and permalink
+  const camRef = useRef(createCamera());
+  const [follow, setFollow] = useState(false);
+  const [minimapOn, setMinimapOn] = useState(true);
+  // active touch pointers for pinch/pan: id -> { x, y } in canvas pixels
+  const touchesRef = useRef(new Map());
+  const mousePanRef = useRef(null); // last point of a mouse pan drag
+
+  // Kiosk mode (settings in localStorage, see kiosk.js): the HUD stays
+  // locked until the PIN; idle time brings back the attract loop
+  const [kiosk, setKiosk] = useState(loadKiosk);
+  const [unlocked, setUnlocked] = useState(false);
+  const lastActivityRef = useRef(0);
+  const attractingRef = useRef(false);
+  const hudAllowed = !kiosk.on || unlocked;
 
   // HUD toggle
-  const [hudOpen, setHudOpen] = useState(true);
+  const [hudOpen, setHudOpen] = useState(
+    !kiosk.on && (restored?.hudOpen ?? true),
+  );
+
+  // Named presets (see presets.js)
+  const [presets, setPresetList] = useState(loadPresets);
+  function setPresets(list) {
+    setPresetList(list);
+    savePresets(list);
+  }
 
   // Motion + tilt-speed
   const [motionOn, setMotionOn] = useState(false);
   const [sensorStatus, setSensorStatus] = useState("motion disabled");
   // include speed01 so we can drive simulation speed
-  const tiltRef = useRef({ beta: 0, gamma: 0, edge: null, speed01: 0 });
+  // x/y = tilt in the profile's frame (toward right / top), for the indicator
+  const tiltRef = useRef({
+    beta: 0,
+    gamma: 0,
+    x: 0,
+    y: 0,
+    edge: null,
+    speed01: 0,
+  });
   const lastSensorTsRef = useRef(0);
 
+  // Sensor profile: how raw beta/gamma map to edges on this device
+  const [customProfiles, setCustomProfiles] = useState(loadProfiles);
+  const [profileName, setProfileName] = useState(
+    () => loadSelectedProfile() ?? defaultProfileName(),
+  );
+  const profile = findProfile(customProfiles, profileName);
+  const [calibrating, setCalibrating] = useState(false);
+  // latest unprocessed reading, sampled by the calibration wizard
+  const rawTiltRef = useRef({ beta: 0, gamma: 0 });
+
+  // Sensor traces: record live readings, or replay a file instead of them
+  const traceRecRef = useRef(null);
+  const [traceRecording, setTraceRecording] = useState(false);
+  const [replay, setReplay] = useState(null); // { trace } while playing
+  // a replay brings its own profile so edges resolve exactly as recorded
+  const activeProfile = replay?.trace.profile ?? profile;
+
+  // Virtual tilt (keys, gamepad, mouse drag); on by default without touch
+  const [virtualOn, setVirtualOn] = useState(
+    () => !(navigator.maxTouchPoints > 0),
+  );
+  const [virtualTilt] = useState(createVirtualTilt);
+  const tiltOn = motionOn || replay !== null || virtualOn;
+
+  // bumped to force a reset once settings changed alongside have rendered
+  const [resetEpoch, setResetEpoch] = useState(0);
+
   // Manual edge override
-  const [manualEdge, setManualEdge] = useState(null);
-  const [activeEdge, setActiveEdge] = useState("bottom");
-
-  // Ring buffer: fixed on-screen history; sim can run forever (old rows overwritten)
-  const gridRef = useRef({
-    rows: [],
-    head: 0,
-    current: new Uint8Array(0),
-  });
+  const [manualEdge, setManualEdge] = useState(linked.manualEdge ?? null);
+  const [activeEdge, setActiveEdge] = useState(linked.manualEdge ?? "bottom");
+
+  // Continuous flow (1D): the history turns with the tilt, any angle, and
+  // edge changes keep it; flowAngleRef is the angle currently drawn
+  const [flow, setFlow] = useState(linked.flow ?? false);
+  const flowAngleRef = useRef(null);
 
-  // Persistent offscreen canvas + ImageData (1px per cell logical grid)
+  // Persistent offscreen canvases (1px per cell): ring (slot order) + view (oriented)
   const offRef = useRef({
-    canvas: null,
-    ctx: null,
-    gw: 0,
-    gh: 0,
-    imageData: null,
+    ring: null,
+    view: null,
+    repaint: true,
   });
 
-  const isIOS = useMemo(() => {
-    if (typeof navigator === "undefined") return false;
-    return (
-      /iPad|iPhone|iPod/.test(navigator.userAgent) ||
-      // iPadOS can masquerade as Mac; this catches it
-      (navigator.platform === "MacIntel" && navigator.maxTouchPoints > 1)
-    );
-  }, []);
-
-  function resetSimulation(mode = seedMode) {
-    const init = new Uint8Array(W);
+  // Split screen (1D): runs stepped in lockstep with this world by its
+  // stepper (see compare.js); paneViewsRef = offscreen canvases + camera
+  // per extra pane
+  const [compare, setCompare] = useState(DEFAULT_COMPARE);
+  const paneViewsRef = useRef([]);
+
+  // Export: active GIF/WebM recorder (fed by the tick loop) + panel toggle
+  const recorderRef = useRef(null);
+  const [exportOpen, setExportOpen] = useState(false);
+
+  // Rule gallery, pinned favourites (localStorage) and the auto tour
+  const [galleryOpen, setGalleryOpen] = useState(false);
+  const [uniqueOnly, setUniqueOnly] = useState(true);
+  const [favourites, setFavourites] = useState(loadFavourites);
+  const [tour, setTour] = useState({
+    on: false,
+    seconds: 5,
+    shake: false,
+    favouritesOnly: false,
+  });
 
-    if (mode === "single") {
-      init[Math.floor(W / 2)] = 1;
-    } else {
-      for (let i = 0; i < W; i++) init[i] = Math.random() > 0.5 ? 1 : 0;
+  // Sonification (the AudioContext only exists while sound is on)
+  const audioRef = useRef(null);
+  const [soundOn, setSoundOn] = useState(false);
+  const [soundMapping, setSoundMapping] = useState(SONIFY_MAPPINGS[0].id);
+  const [muted, setMuted] = useState(false);
+
+  // Live analysis (only fed while the panel is open)
+  const [analysisOpen, setAnalysisOpen] = useState(false);
+
+  // World on screen, history, split-screen runs and stepping core (see
+  // simulation.js); the frame loop and the panels share its refs
+  const sim = useSimulation(
+    {
+      simMode,
+      W,
+      H,
+      states,
+      ruleFamily,
+      radius,
+      stepSpec,
+      boundary,
+      seedMode,
+      rngSeed,
+      density,
+      seedPattern,
+      compare,
+      morphBase,
+    },
+    {
+      repaint: () => {
+        offRef.current.repaint = true;
+      },
+      pause: () => setRunning(false),
+    },
+  );
+  const {
+    gridRef,
+    timelineRef,
+    fastForwardRef,
+    compareRef,
+    analyzerRef,
+    lifeRandRef,
+  } = sim;
+
+  // Pattern search (1D): the panel rescans, the frame loop labels its finds
+  const scanRef = useRef(null);
+  const [particlesOpen, setParticlesOpen] = useState(false);
+
+  function commitLifeRuleText() {
+    const parsed = parseLifeRule(lifeRuleDraft);
+    if (!parsed) {
+      setLifeRuleDraft(lifeRuleText);
+      return;
     }
-
-    const rows = Array.from({ length: H }, () => new Uint8Array(W));
-    rows[0].set(init);
-    gridRef.current = { rows, head: 0, current: init };
+    const text = formatLifeRule(parsed);
+    setLifeRuleText(text);
+    setLifeRuleDraft(text);
   }
 
-  // Rebuild world buffers whenever W/H changes (for worldPreset changes)
-  useEffect(() => {
-    gridRef.current = {
-      rows: Array.from({ length: H }, () => new Uint8Array(W)),
-      head: 0,
-      current: new Uint8Array(W),
-    };
-
-    // Force offscreen realloc on next frame
-    offRef.current.gw = 0;
-    offRef.current.gh = 0;
-    offRef.current.imageData = null;
+  // History oldest-first, only the generations actually produced (2D: the world)
+  function shownHistory() {
+    const g = gridRef.current;
+    return simMode === "life" ? g.rows : historyRows(g);
+  }
 
-    resetSimulation(seedMode);
-    // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [W, H]);
+  // File name stem + RLE rule field for exports
+  const exportBaseName =
+    simMode === "life"
+      ? `life-${lifeRuleText.replace("/", "")}`
+      : ruleLabel(rule, ruleFamily, states, radius)
+          .toLowerCase()
+          .replace(/[^a-z0-9]+/g, "-");
+  const exportRuleName =
+    simMode === "life"
+      ? lifeRuleText
+      : ruleFamily === "general" && states === 2 && radius === 1
+        ? `W${rule}`
+        : ruleLabel(rule, ruleFamily, states, radius);
 
   // Resize main canvas to container (dpr aware)
   useEffect(() => {
@@ -191,26 +482,6 @@ export default function TiltEdgeECA_FillScreen() {
     return () => ro.disconnect();
   }, []);
 
-  function ensureOffscreen(edge) {
-    const gw = edge === "left" || edge === "right" ? H : W;
-    const gh = edge === "left" || edge === "right" ? W : H;
-
-    const o = offRef.current;
-    if (!o.canvas) {
-      o.canvas = document.createElement("canvas");
-      o.ctx = o.canvas.getContext("2d", { willReadFrequently: true });
-    }
-
-    if (o.gw !== gw || o.gh !== gh || !o.imageData) {
-      o.gw = gw;
-      o.gh = gh;
-      o.canvas.width = gw;
-      o.canvas.height = gh;
-      o.imageData = o.ctx.createImageData(gw, gh);
-    }
-    return o;
-  }
-
   async function enableMotion() {
     try {
       if (
@@ -234,17 +505,14 @@ export default function TiltEdgeECA_FillScreen() {
 
   // Sensors (orientation + devicemotion proxy)
   useEffect(() => {
-    function computeSpeed01(beta, gamma) {
-      // magnitude scaled into 0..1 (tune 45 if you want faster response)
-      const mag = Math.max(Math.abs(beta), Math.abs(gamma));
-      return clamp(mag, 0, 45) / 45;
-    }
-
     function updateFrom(beta, gamma) {
-      const edge = dominantEdgeFromTilt(beta, gamma);
-      const speed01 = computeSpeed01(beta, gamma);
+      const edge = dominantEdgeFromTilt(beta, gamma, activeProfile);
+      const speed01 = computeSpeed01(beta, gamma, activeProfile);
+      const { x, y } = tiltVector(beta, gamma, activeProfile);
+      traceRecRef.current?.push(beta, gamma, speed01);
 
-      tiltRef.current = { beta, gamma, edge, speed01 };
+      rawTiltRef.current = { beta, gamma };
+      tiltRef.current = { beta, gamma, x, y, edge, speed01 };
       lastSensorTsRef.current = Date.now();
 
       setSensorStatus(
@@ -252,6 +520,36 @@ export default function TiltEdgeECA_FillScreen() {
       );
     }
 
+    // replay: feed the trace through the same path as live readings
+    if (replay) {
+      const player = createTracePlayer(replay.trace);
+      const t0 = performance.now();
+      const id = setInterval(() => {
+        if (!player.advance(performance.now() - t0, updateFrom)) {
+          setReplay(null);
+          setSensorStatus("replay finished");
+        }
+      }, 16);
+      return () => clearInterval(id);
+    }
+
+    // virtual tilt is polled per frame and fed back as raw readings
+    let raf = 0;
+    let last = performance.now();
+    let wasActive = false;
+    function pollVirtual(now) {
+      const v = virtualTilt.update((now - last) / 1000, activeProfile.maxAngle);
+      last = now;
+      // one last zero reading after release so the tilt settles
+      if (v.active || wasActive) {
+        const { beta, gamma } = rawFromTilt(v.x, v.y, activeProfile);
+        updateFrom(beta, gamma);
+      }
+      wasActive = v.active;
+      raf = requestAnimationFrame(pollVirtual);
+    }
+    if (virtualOn) raf = requestAnimationFrame(pollVirtual);
+
     function onOri(e) {
       if (!motionOn) return;
       const beta = typeof e.beta === "number" ? e.beta : 0;
@@ -279,30 +577,340 @@ export default function TiltEdgeECA_FillScreen() {
     window.addEventListener("devicemotion", onMotion, true);
 
     return () => {
+      cancelAnimationFrame(raf);
       window.removeEventListener("deviceorientation", onOri, true);
       window.removeEventListener("deviceorientationabsolute", onOri, true);
       window.removeEventListener("devicemotion", onMotion, true);
     };
-  }, [motionOn]);
+  }, [motionOn, activeProfile, replay, virtualOn, virtualTilt]);
 
-  // Initial + re-run on rule/seed changes
+  // A fresh world on mount and whenever its size, rule or seed changes
   useEffect(() => {
-    resetSimulation(seedMode);
-    // eslint-disable-next-line react-hooks/exhaustive-deps
+    sim.reset();
+  }, [
+    sim,
+    W,
+    H,
+    ruleSpec,
+    seedMode,
+    boundary,
+    simMode,
+    lifeRuleText,
+    rngSeed,
+    density,
+    seedPattern,
+    resetEpoch,
+    compare,
+  ]);
+
+  // Noise applies from the current generation on, without a reset
+  useEffect(() => {
+    sim.reseatStepper();
+  }, [noise, sim]);
+
+  useEffect(() => {
+    camRef.current.zoom = zoom;
+    camRef.current.follow = follow;
+  }, [zoom, follow]);
+
+  // Wheel zoom about the cursor (native listener: React's is passive)
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas) return;
+    function onWheel(e) {
+      e.preventDefault();
+      const p = canvasPoint(canvas, e);
+      zoomAt(camRef.current, Math.exp(-e.deltaY * 0.002), p.x, p.y);
+      setZoom(camRef.current.zoom);
+    }
+    canvas.addEventListener("wheel", onWheel, { passive: false });
+    return () => canvas.removeEventListener("wheel", onWheel);
   }, []);
 
+  // Two fingers: pinch zooms about their midpoint, moving them pans
+  function onTouchPointer(e) {
+    const canvas = e.currentTarget;
+    const touches = touchesRef.current;
+    if (e.type === "pointerup" || e.type === "pointercancel") {
+      touches.delete(e.pointerId);
+      return;
+    }
+    if (e.type === "pointerdown") {
+      canvas.setPointerCapture(e.pointerId);
+      touches.set(e.pointerId, canvasPoint(canvas, e));
+      return;
+    }
+    if (!touches.has(e.pointerId)) return;
+    const before = [...touches.values()];
+    touches.set(e.pointerId, canvasPoint(canvas, e));
+    if (touches.size !== 2) return;
+
+    const after = [...touches.values()];
+    const mid = (pts) => ({
+      x: (pts[0].x + pts[1].x) / 2,
+      y: (pts[0].y + pts[1].y) / 2,
+    });
+    const dist = (pts) => Math.hypot(pts[0].x - pts[1].x, pts[0].y - pts[1].y);
+    const m0 = mid(before);
+    const m1 = mid(after);
+    const cam = camRef.current;
+    panBy(cam, m1.x - m0.x, m1.y - m0.y);
+    zoomAt(cam, dist(after) / Math.max(1, dist(before)), m1.x, m1.y);
+    setZoom(cam.zoom);
+  }
+
+  // Must run inside the click: browsers only allow audio after a gesture
+  function toggleSound() {
+    if (audioRef.current) {
+      audioRef.current.dispose();
+      audioRef.current = null;
+      setSoundOn(false);
+      return;
+    }
+    try {
+      const audio = createSonifier();
+      audio.setMapping(soundMapping);
+      audio.setMuted(muted);
+      audioRef.current = audio;
+      setSoundOn(true);
+    } catch {
+      setSoundOn(false);
+    }
+  }
+
+  useEffect(() => {
+    audioRef.current?.setMapping(soundMapping);
+  }, [soundMapping]);
+
   useEffect(() => {
-    resetSimulation(seedMode);
+    audioRef.current?.setMuted(muted);
+  }, [muted]);
+
+  useEffect(
+    () => () => {
+      audioRef.current?.dispose();
+      audioRef.current = null;
+    },
+    [],
+  );
+
+  // Keyboard: tilt keys feed the virtual tilt, the rest are shortcuts
+  // (+/- step from the rule current at the key press)
+  const shiftRule = useEffectEvent((delta) => stepRule(delta));
+  useEffect(() => {
+    function onKeyDown(e) {
+      if (e.ctrlKey || e.metaKey || e.altKey) return;
+      if (e.target.closest?.("input, select, textarea")) return;
+      if (virtualOn && virtualTilt.keyDown(e.code)) {
+        e.preventDefault();
+        return;
+      }
+      // a locked kiosk takes tilt keys only
+      if (!hudAllowed) return;
+      if (e.repeat && e.key !== "+" && e.key !== "=" && e.key !== "-") return;
+      switch (e.key) {
+        case " ":
+          // a focused button already toggles itself on space
+          if (e.target.closest?.("button")) return;
+          e.preventDefault();
+          setRunning((v) => !v);
+          break;
+        case "r":
+        case "R":
+          setResetEpoch((n) => n + 1);
+          break;
+        case "h":
+        case "H":
+          setHudOpen((v) => !v);
+          break;
+        case "m":
+        case "M":
+          setMuted((v) => !v);
+          break;
+        case "+":
+        case "=":
+          shiftRule(1);
+          break;
+        case "-":
+          shiftRule(-1);
+          break;
+        default:
+      }
+    }
+    function onKeyUp(e) {
+      virtualTilt.keyUp(e.code);
+    }
+    function onBlur() {
+      virtualTilt.reset();
+    }
+    window.addEventListener("keydown", onKeyDown);
+    window.addEventListener("keyup", onKeyUp);
+    window.addEventListener("blur", onBlur);
+    return () => {
+      window.removeEventListener("keydown", onKeyDown);
+      window.removeEventListener("keyup", onKeyUp);
+      window.removeEventListener("blur", onBlur);
+    };
+  }, [virtualOn, hudAllowed, virtualTilt]);
+
+  function chooseSeedMode(mode) {
+    if (mode === "pattern" && !seedPattern) {
+      setSeedPattern(SEED_PRESETS[0].make(W));
+    }
+    setSeedMode(mode);
+  }
+
+  // --- Permalink: mirror the session into the URL hash ---
+  const [linkStatus, setLinkStatus] = useState("");
+
+  // Everything a permalink (or a sensor trace) needs to rebuild the session
+  function sessionState() {
+    return {
+      simMode,
+      rule,
+      ruleFamily,
+      states,
+      radius,
+      lifeRuleText,
+      gravity,
+      boundary,
+      seedMode,
+      rngSeed,
+      density,
+      worldPreset,
+      zoom,
+      manualEdge,
+      flow,
+      palette,
+      colorMode,
+      hybrid,
+      noise,
+      tiltDrives,
+      init:
+        seedMode === "pattern" && seedPattern
+          ? fitRow(seedPattern, W).map((v) => Math.min(v, states - 1))
+          : null,
+    };
+  }
+
+  useEffect(() => {
+    // debounced: sliders would otherwise flood the history API
+    const id = setTimeout(() => {
+      const state = sessionState();
+      const hash = `#${encodePermalink(state)}`;
+      saveLastSession({ session: hash.slice(1), hudOpen });
+      if (hash === window.location.hash) return;
+
+      const prev = decodePermalink(window.location.hash);
+      const push =
+        window.location.hash !== "" &&
+        permalinkRuleKey({ ...state, ...prev }) !== permalinkRuleKey(state);
+      try {
+        if (push) window.history.pushState(null, "", hash);
+        else window.history.replaceState(null, "", hash);
+      } catch {
+        // rate-limited by the browser; the next change will catch up
+      }
+    }, 300);
+    return () => clearTimeout(id);
+    // sessionState reads exactly these; hudOpen goes to the last session
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [rule, seedMode]);
+  }, [
+    simMode,
+    rule,
+    ruleFamily,
+    states,
+    radius,
+    lifeRuleText,
+    gravity,
+    boundary,
+    seedMode,
+    rngSeed,
+    density,
+    seedPattern,
+    W,
+    worldPreset,
+    zoom,
+    manualEdge,
+    flow,
+    palette,
+    colorMode,
+    hybrid,
+    noise,
+    tiltDrives,
+    hudOpen,
+  ]);
+
+  // Apply a decoded permalink (partial: missing keys keep their value)
+  function applySession(s) {
+    if (s.simMode) setSimMode(s.simMode);
+    if (s.ruleFamily) setRuleFamily(s.ruleFamily);
+    if (s.states) setStates(s.states);
+    if (s.radius) setRadius(s.radius);
+    if (s.rule !== undefined) {
+      setRule(s.rule);
+      setRuleText(String(s.rule));
+    }
+    if (s.lifeRuleText) {
+      setLifeRuleText(s.lifeRuleText);
+      setLifeRuleDraft(s.lifeRuleText);
+    }
+    if (s.gravity !== undefined) setGravity(s.gravity);
+    if (s.boundary) setBoundary(s.boundary);
+    if (s.seedMode) setSeedMode(s.seedMode);
+    if (s.rngSeed !== undefined) setRngSeed(s.rngSeed);
+    if (s.density !== undefined) setDensity(s.density);
+    if (s.worldPreset) setWorldPreset(s.worldPreset);
+    if (s.zoom !== undefined) setZoom(s.zoom);
+    setManualEdge(s.manualEdge ?? null);
+    setFlow(s.flow ?? false);
+    if (s.palette) setPalette(s.palette);
+    setColorMode(s.colorMode ?? "state");
+    const h = s.hybrid ?? DEFAULT_HYBRID;
+    setHybrid(h);
+    setRuleBText(String(h.ruleB));
+    setNoise(s.noise ?? DEFAULT_NOISE);
+    setTiltDrives(s.tiltDrives ?? "speed");
+    if (s.init) setSeedPattern(s.init);
+  }
+
+  // Back/forward (or a pasted link): apply whatever the hash says
+  useEffect(() => {
+    function applyHash() {
+      applySession(decodePermalink(window.location.hash));
+    }
+    window.addEventListener("popstate", applyHash);
+    window.addEventListener("hashchange", applyHash);
+    return () => {
+      window.removeEventListener("popstate", applyHash);
+      window.removeEventListener("hashchange", applyHash);
+    };
+  }, []);
+
+  function loadPreset(p) {
+    applySession(decodePermalink(p.session));
+    setHudOpen(p.hudOpen);
+    // reset even if the configuration is unchanged
+    setResetEpoch((n) => n + 1);
+  }
+
+  async function copyLink() {
+    try {
+      await navigator.clipboard.writeText(window.location.href);
+      setLinkStatus("link copied");
+    } catch {
+      window.prompt("Copy this link:", window.location.href);
+    }
+    setTimeout(() => setLinkStatus(""), 1500);
+  }
 
   useEffect(() => {
     if (manualEdge && manualEdge !== activeEdge) {
       setActiveEdge(manualEdge);
-      resetSimulation(seedMode);
+      // in 2D the edge is just gravity, and flow just turns: keep the world
+      if (simMode !== "life" && !flow) sim.reset();
     }
-    // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [manualEdge]);
+  }, [manualEdge, activeEdge, simMode, flow, sim]);
 
   // Commit ruleText -> rule on blur/enter
   function commitRuleText() {
@@ -311,160 +919,567 @@ export default function TiltEdgeECA_FillScreen() {
       setRuleText(String(rule));
       return;
     }
-    const n = Number(ruleText);
-    if (!Number.isFinite(n)) {
+    let n;
+    try {
+      n = BigInt(ruleText.trim());
+    } catch {
       setRuleText(String(rule));
       return;
     }
-    const r = clamp(Math.floor(n), 0, 255);
+    const max = maxRuleCode(ruleFamily, states, radius);
+    const r = n > max ? max : n;
     setRule(r);
     setRuleText(String(r));
   }
 
+  // Changing family / k / r shrinks the code space: clamp the current rule
+  function setRuleShape(family, k, r) {
+    setRuleFamily(family);
+    setStates(k);
+    setRadius(r);
+    const max = maxRuleCode(family, k, r);
+    if (rule > max) {
+      setRule(max);
+      setRuleText(String(max));
+    }
+    if (hybrid.ruleB > max) {
+      setHybrid((h) => ({ ...h, ruleB: max }));
+      setRuleBText(String(max));
+    }
+  }
+
+  function commitRuleBText() {
+    let n;
+    try {
+      n = BigInt(ruleBText.trim());
+    } catch {
+      setRuleBText(String(hybrid.ruleB));
+      return;
+    }
+    const max = maxRuleCode(ruleFamily, states, radius);
+    const r = n > max ? max : n;
+    setHybrid((h) => ({ ...h, ruleB: r }));
+    setRuleBText(String(r));
+  }
+
+  function loadElementaryRule(r) {
+    setSimMode("1d");
+    setRuleFamily("general");
+    setStates(2);
+    setRadius(1);
+    setRule(BigInt(r));
+    setRuleText(String(r));
+  }
+
+  // Next/previous rule: rule code in 1D, preset list in 2D
+  function stepRule(delta) {
+    if (simMode === "life") {
+      const i = LIFE_PRESETS.findIndex((p) => p.rule === lifeRuleText);
+      const n = LIFE_PRESETS.length;
+      const next = LIFE_PRESETS[(i + delta + n) % n].rule;
+      setLifeRuleText(next);
+      setLifeRuleDraft(next);
+      return;
+    }
+    const max = maxRuleCode(ruleFamily, states, radius);
+    const next = rule + BigInt(delta);
+    if (next < 0n || next > max) return;
+    setRule(next);
+    setRuleText(String(next));
+  }
+
+  // Follow the theme's palette unless the user has made their own
+  function toggleTheme() {
+    const next = theme === "dark" ? "light" : "dark";
+    setTheme(next);
+    try {
+      localStorage.setItem(THEME_KEY, next);
+    } catch {
+      // not persisted, fine
+    }
+    if (palette.join() === PALETTE_PRESETS[chrome.palette].join()) {
+      setPalette(PALETTE_PRESETS[THEMES[next].palette]);
+    }
+  }
+
+  function toggleFavourite(r) {
+    setFavourites((list) => {
+      const next = list.includes(r)
+        ? list.filter((x) => x !== r)
+        : [...list, r].sort((a, b) => a - b);
+      saveFavourites(next);
+      return next;
+    });
+  }
+
+  function selectProfile(name) {
+    setProfileName(name);
+    saveSelectedProfile(name);
+  }
+
+  // Save (or overwrite) a custom profile and switch to it
+  function storeProfile(p) {
+    setCustomProfiles((list) => {
+      const next = [...list.filter((x) => x.name !== p.name), p];
+      saveProfiles(next);
+      return next;
+    });
+    selectProfile(p.name);
+  }
+
+  function deleteProfile() {
+    setCustomProfiles((list) => {
+      const next = list.filter((x) => x.name !== profile.name);
+      saveProfiles(next);
+      return next;
+    });
+    selectProfile(defaultProfileName());
+  }
+
+  function exportProfile() {
+    const { builtin: _builtin, ...data } = profile;
+    const blob = new Blob([JSON.stringify(data, null, 2)], {
+      type: "application/json",
+    });
+    const slug = profile.name.replace(/[^a-z0-9]+/gi, "-").toLowerCase();
+    downloadBlob(blob, `sensor-profile-${slug}.json`);
+  }
+
+  async function importProfile(file) {
+    try {
+      const p = normalizeProfile(JSON.parse(await file.text()));
+      if (!p) throw new Error("bad profile");
+      // never shadow a built-in
+      if (BUILTIN_PROFILES.some((b) => b.name === p.name))
+        p.name += " (imported)";
+      storeProfile(p);
+      setSensorStatus(`profile "${p.name}" imported`);
+    } catch {
+      setSensorStatus("import failed: not a sensor profile");
+    }
+  }
+
+  // Start from generation 0 so the trace lines up with a fresh replay
+  function startTraceRecording() {
+    sim.reset();
+    traceRecRef.current = createTraceRecorder({
+      session: encodePermalink({ ...sessionState(), manualEdge: null }),
+      profile,
+    });
+    setTraceRecording(true);
+  }
+
+  function stopTraceRecording() {
+    const rec = traceRecRef.current;
+    traceRecRef.current = null;
+    setTraceRecording(false);
+    if (!rec || rec.count === 0) {
+      setSensorStatus("nothing recorded (no sensor readings)");
+      return;
+    }
+    const blob = new Blob([JSON.stringify(rec.finish())], {
+      type: "application/json",
+    });
+    downloadBlob(blob, `${exportBaseName}-trace.json`);
+  }
+
+  async function replayTrace(file) {
+    try {
+      const trace = parseTrace(await file.text());
+      applySession(decodePermalink(trace.session));
+      setManualEdge(null);
+      // reset even if the session is unchanged
+      setResetEpoch((n) => n + 1);
+      setReplay({ trace });
+      setSensorStatus(`replaying ${trace.samples.length} samples…`);
+    } catch (err) {
+      setSensorStatus(`replay failed: ${err.message}`);
+    }
+  }
+
+  // Auto tour: next rule after `seconds`, or sooner on a shake
+  useEffect(() => {
+    if (!tour.on) return;
+    // tour.rules: an explicit list (the kiosk attract loop)
+    const list =
+      tour.rules ??
+      (tour.favouritesOnly && favourites.length > 0
+        ? favourites
+        : uniqueOnly
+          ? UNIQUE_RULES
+          : ALL_RULES);
+    const cur = Number(rule);
+    const next = list.find((r) => r > cur) ?? list[0];
+    const advance = () => loadElementaryRule(next);
+
+    const id = setTimeout(advance, tour.seconds * 1000);
+
+    let lastShake = 0;
+    function onShake(e) {
+      const a = e.acceleration ?? e.accelerationIncludingGravity;
+      if (!a) return;
+      const mag = Math.hypot(a.x ?? 0, a.y ?? 0, a.z ?? 0);
+      // without gravity a jolt is ~15 m/s^2; with gravity, ~25
+      const limit = e.acceleration ? 15 : 25;
+      const now = Date.now();
+      if (mag > limit && now - lastShake > 1000) {
+        lastShake = now;
+        advance();
+      }
+    }
+    if (tour.shake) window.addEventListener("devicemotion", onShake);
+
+    return () => {
+      clearTimeout(id);
+      window.removeEventListener("devicemotion", onShake);
+    };
+  }, [tour, rule, favourites, uniqueOnly]);
+
+  // --- Kiosk mode ---
+  useEffect(() => saveKiosk(kiosk), [kiosk]);
+
+  // Lock the HUD and tidy away whatever a visitor might have opened
+  function lockKiosk() {
+    setUnlocked(false);
+    setHudOpen(false);
+    setGalleryOpen(false);
+    setExportOpen(false);
+    setCalibrating(false);
+    analyzerRef.current = null;
+    setAnalysisOpen(false);
+    setParticlesOpen(false);
+  }
+
+  // Idle: back to a clean slate, cycling the attract rules
+  function startAttract() {
+    attractingRef.current = true;
+    lockKiosk();
+    const rules = parseRuleList(kiosk.attractRules);
+    setManualEdge(null);
+    setFlow(false);
+    setCompare(DEFAULT_COMPARE);
+    setHybrid(DEFAULT_HYBRID);
+    setNoise(DEFAULT_NOISE);
+    setZoom(1);
+    setSeedMode("random");
+    loadElementaryRule(rules[0]);
+    setRunning(true);
+    setTour({
+      on: true,
+      seconds: kiosk.attractSeconds,
+      shake: false,
+      favouritesOnly: false,
+      rules,
+    });
+  }
+
+  useEffect(() => {
+    if (!kiosk.on) return;
+    // a touch (first one: fullscreen + motion permission, both need a
+    // gesture), a key or a change of tilt edge counts as a visitor
+    function touched() {
+      lastActivityRef.current = Date.now();
+      if (kiosk.fullscreen) enterFullscreen();
+      if (!motionOn) enableMotion();
+      if (attractingRef.current) {
+        attractingRef.current = false;
+        setTour((t) => ({ ...t, on: false, rules: undefined }));
+      }
+    }
+    lastActivityRef.current = Date.now();
+    let lastEdge = tiltRef.current.edge;
+    const id = setInterval(() => {
+      const edge = tiltRef.current.edge;
+      if (edge !== lastEdge) {
+        lastEdge = edge;
+        touched();
+      }
+      const idle = Date.now() - lastActivityRef.current;
+      if (!attractingRef.current && idle > kiosk.idleSeconds * 1000) {
+        startAttract();
+      }
+    }, 1000);
+    window.addEventListener("pointerdown", touched);
+    window.addEventListener("keydown", touched);
+    return () => {
+      clearInterval(id);
+      window.removeEventListener("pointerdown", touched);
+      window.removeEventListener("keydown", touched);
+    };
+    // startAttract reads only kiosk settings; the rest are setters
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [kiosk, motionOn]);
+
+  useEffect(() => {
+    if (!kiosk.on || !kiosk.wakeLock) return;
+    return keepScreenOn();
+  }, [kiosk.on, kiosk.wakeLock]);
+
   useEffect(() => {
     const canvas = canvasRef.current;
     if (!canvas) return;
     const ctx = canvas.getContext("2d", { alpha: false });
     ctx.imageSmoothingEnabled = false;
 
-    let lastT = performance.now();
     let stepAccumulator = 0;
+    let lastSoundGen = -1;
 
-    function tick(now) {
-      const dt = (now - lastT) / 1000;
-      lastT = now;
+    // palette (or anything else) changed: the rings must be redrawn
+    offRef.current.repaint = true;
+    for (const view of paneViewsRef.current) view.off.repaint = true;
 
-      if (canvas.width < 2 || canvas.height < 2) {
-        rafRef.current = requestAnimationFrame(tick);
-        return;
-      }
+    function tick(dt, now) {
+      if (canvas.width < 2 || canvas.height < 2) return;
 
       const desiredEdge =
-        manualEdge ?? (motionOn ? tiltRef.current.edge : null) ?? activeEdge;
+        manualEdge ?? (tiltOn ? tiltRef.current.edge : null) ?? activeEdge;
 
       if (desiredEdge && desiredEdge !== activeEdge) {
         setActiveEdge(desiredEdge);
-        resetSimulation(seedMode);
+        if (simMode !== "life" && !flow) sim.reset();
       }
 
       const edge = desiredEdge || activeEdge;
+      // 2D worlds are drawn upright; the edge only sets gravity
+      const drawEdge = simMode === "life" ? "bottom" : edge;
 
       // If buffers aren't ready yet, skip this frame
       if (!gridRef.current.current || gridRef.current.current.length !== W) {
-        rafRef.current = requestAnimationFrame(tick);
         return;
       }
 
       // --- tilt-based speed ---
       // base speed always advances; tilt increases it
-      const speed01 = motionOn ? tiltRef.current.speed01 : 0;
-      const baseStepsPerSec = 30; // stable baseline
-      const extraStepsPerSec = 140; // added at full tilt
+      const tiltSpeed = tiltOn ? tiltRef.current.speed01 : 0;
+      const speed01 = tiltDrives === "noise" ? 0 : tiltSpeed;
+      // noise rates are full-tilt values when tilt drives them
+      const noiseLevel =
+        tiltDrives === "speed" || !tiltOn || manualEdge ? 1 : tiltSpeed;
+      // (2D steps are ~W*H times dearer, and tilt drives gravity there)
+      const baseStepsPerSec = simMode === "life" ? 15 : 30; // stable baseline
+      const extraStepsPerSec = simMode === "life" ? 0 : 140; // added at full tilt
       const stepsPerSec = baseStepsPerSec + extraStepsPerSec * speed01;
 
       stepAccumulator += dt * stepsPerSec;
 
-      if (running) {
+      if (running && simMode === "life") {
+        // manual edge = full gravity, sensors scale it by tilt magnitude
+        const pull = gravity * (manualEdge || !tiltOn ? 1 : tiltSpeed);
         while (stepAccumulator >= 1) {
           stepAccumulator -= 1;
           const g = gridRef.current;
-          const next = stepECA(g.current, lut);
-          g.current = next;
-          g.head = (g.head + 1) % H;
-          g.rows[g.head].set(next);
+          const rand = lifeRandRef.current;
+          if (lifeRule) stepLife(g.rows, lifeRule, boundary, rand);
+          if (rand() < pull) driftWorld(g.rows, edge, boundary);
+          g.current = g.rows[H - 1];
+          g.gen += 1;
+          offRef.current.repaint = true;
+
+          // the analyzer sees the whole 2D world as one long "row"
+          if (analyzerRef.current) {
+            const flat = new Uint8Array(W * H);
+            g.rows.forEach((row, y) => flat.set(row, y * W));
+            analyzerRef.current.push(flat, 2);
+          }
+        }
+      } else if (running || fastForwardRef.current !== null) {
+        sim.resumeFromView();
+        const target = fastForwardRef.current;
+        if (target !== null) {
+          const left = target - gridRef.current.gen;
+          if (left <= 0) {
+            fastForwardRef.current = null;
+            setRunning(false);
+          } else {
+            sim.requestSteps(Math.min(left, FAST_FORWARD_BATCH), {
+              morph: morphBase,
+            });
+          }
+          stepAccumulator = 0;
+        } else {
+          // one batch in flight at a time; rows arrive via the stepper callback
+          const count = Math.min(Math.floor(stepAccumulator), H);
+          // morph: tilt magnitude is the chance of rule B
+          const morph = tiltOn && !manualEdge ? tiltSpeed : morphBase;
+          if (
+            count >= 1 &&
+            sim.requestSteps(count, { morph, noise: noiseLevel })
+          ) {
+            stepAccumulator -= count;
+          } else {
+            stepAccumulator = Math.min(stepAccumulator, H);
+          }
         }
       } else {
         stepAccumulator = Math.min(stepAccumulator, 2);
       }
 
-      // Offscreen draw (logical pixels)
-      const off = ensureOffscreen(edge);
-      const { gw, gh, imageData } = off;
-      const data = imageData.data;
-
-      // White background
-      for (let i = 0; i < data.length; i += 4) {
-        data[i] = 255;
-        data[i + 1] = 255;
-        data[i + 2] = 255;
-        data[i + 3] = 255;
+      // Jumping: no drawing until the target generation is reached
+      if (fastForwardRef.current !== null) {
+        ctx.fillStyle = chrome.panel;
+        ctx.fillRect(0, canvas.height - 40, canvas.width, 40);
+        ctx.fillStyle = chrome.text;
+        ctx.fillText(
+          `jumping to generation ${fastForwardRef.current}… (${gridRef.current.gen})`,
+          12,
+          canvas.height - 14,
+        );
+        return;
       }
 
-      // Black cells
+      // Offscreen draw (logical pixels): new rows into the ring, then orient
       const g = gridRef.current;
-      for (let t = 0; t < H; t++) {
-        const bufIdx = (g.head - (H - 1 - t) + H) % H;
-        const row = g.rows[bufIdx];
-        for (let x = 0; x < W; x++) {
-          if (row[x] !== 1) continue;
-
-          const { sx, sy } = mapToScreen(edge, t, x, W, H, isIOS);
-          if (sx < 0 || sx >= gw || sy < 0 || sy >= gh) continue;
-
-          const p = (sy * gw + sx) * 4;
-          data[p] = 0;
-          data[p + 1] = 0;
-          data[p + 2] = 0;
-          data[p + 3] = 255;
-        }
-      }
 
-      off.ctx.putImageData(imageData, 0, 0);
-
-      // --- Render to main canvas (camera zoom + always fill screen) ---
-      const cw = canvas.width;
-      const ch = canvas.height;
-
-      // Camera zoom: larger view window = zoomed out
-      const z = zoom; // 0.25..3
-      const viewW = Math.max(1, Math.min(gw, Math.floor(gw / z)));
-      const viewH = Math.max(1, Math.min(gh, Math.floor(gh / z)));
-
-      // Center the view window in source
-      const sx = Math.floor((gw - viewW) / 2);
-      const sy = Math.floor((gh - viewH) / 2);
-
-      // Cover-scale destination so it ALWAYS fills the screen
-      const s = Math.max(cw / viewW, ch / viewH);
-      const drawW = viewW * s;
-      const drawH = viewH * s;
-
-      // Anchor to the active edge (flush), crop opposite side
-      let dx, dy;
-      if (edge === "top") {
-        dx = Math.floor((cw - drawW) / 2);
-        dy = 0;
-      } else if (edge === "bottom") {
-        dx = Math.floor((cw - drawW) / 2);
-        dy = Math.floor(ch - drawH);
-      } else if (edge === "left") {
-        dx = 0;
-        dy = Math.floor((ch - drawH) / 2);
-      } else if (edge === "right") {
-        dx = Math.floor(cw - drawW);
-        dy = Math.floor((ch - drawH) / 2);
-      } else {
-        dx = Math.floor((cw - drawW) / 2);
-        dy = Math.floor((ch - drawH) / 2);
+      // a beat per new generation at most; tempo follows the tilt
+      if (audioRef.current && g.gen !== lastSoundGen) {
+        lastSoundGen = g.gen;
+        audioRef.current.update(g.current, speed01);
       }
+      const style = {
+        // 2D worlds repaint whole each step: no history to colour by
+        mode: simMode === "life" ? "state" : colorMode,
+        paletteRgb,
+        r: radius,
+      };
+      const flipLR = activeProfile.flipLR;
+
+      // split screen: 1D only, and upright (flow turns off meanwhile)
+      const comparison = simMode === "life" ? null : compareRef.current;
+      const font = `${Math.max(12, Math.floor(12 * (window.devicePixelRatio || 1)))}px sans-serif`;
+
+      if (flow && simMode !== "life" && !comparison) {
+        // turn toward the manual edge, else the tilt; flat keeps the angle
+        const tr = tiltRef.current;
+        const target =
+          (manualEdge ? edgeAngle(manualEdge, flipLR) : null) ??
+          (tiltOn
+            ? tiltAngle(tr.x, tr.y, flipLR, activeProfile.deadzone)
+            : null) ??
+          flowAngleRef.current ??
+          edgeAngle(edge, flipLR);
+        flowAngleRef.current = easeAngle(
+          flowAngleRef.current ?? target,
+          target,
+          dt,
+        );
+        // no pan or minimap while rotated
+        camRef.current.layout = null;
+        drawFlowFrame(ctx, offRef.current, g, {
+          angle: flowAngleRef.current,
+          zoom: camRef.current.zoom,
+          style,
+          background: palette[0],
+        });
+      } else {
+        // --- Render to main canvas through the camera (one pane per run) ---
+        flowAngleRef.current = null;
+        const panes = comparison ? paneLayout(compare).panes : ["main"];
+        const rects = paneRects(panes.length, canvas.width, canvas.height);
+        panes.forEach((pane, i) => {
+          let view = { off: offRef.current, cam: camRef.current };
+          if (pane !== "main") {
+            view = paneViewsRef.current[i] ??= {
+              off: { ring: null, view: null, repaint: true },
+              cam: createCamera(),
+            };
+            // every pane shows the same part of its world
+            const { zoom, panX, panY, follow } = camRef.current;
+            Object.assign(view.cam, { zoom, panX, panY, follow });
+          }
+          drawFrame(
+            ctx,
+            view.off,
+            pane === "main"
+              ? g
+              : pane === "diff"
+                ? comparison.diff
+                : comparison.runs[pane].grid,
+            {
+              edge: drawEdge,
+              flipLR,
+              cam: view.cam,
+              style:
+                pane === "diff"
+                  ? { mode: "state", paletteRgb: [paletteRgb[0], DIFF_RGB] }
+                  : style,
+              background: palette[0],
+              viewport: rects[i],
+            },
+          );
+        });
+
+        if (comparison) {
+          ctx.font = font;
+          ctx.textBaseline = "bottom";
+          panes.forEach((pane, i) => {
+            const rect = rects[i];
+            let text = `A · ${ruleLabel(rule, ruleFamily, states, radius)}`;
+            if (pane === "diff") {
+              const differ = comparison.diff.current.reduce((a, v) => a + v, 0);
+              text = `A ≠ B · ${differ} of ${W} cells`;
+            } else if (pane !== "main") {
+              const run = comparison.runs[pane];
+              const seed = COMPARE_SEEDS.find((s) => s.id === run.seed);
+              text = `${RUN_NAMES[pane]} · ${ruleLabel(run.rule ?? rule, ruleFamily, states, radius)} · ${seed.label}`;
+            }
+            const pad = 6;
+            const tw = ctx.measureText(text).width;
+            const th = parseInt(font, 10);
+            ctx.fillStyle = chrome.panel;
+            ctx.fillRect(
+              rect.x + 8,
+              rect.y + rect.h - th - 2 * pad - 8,
+              tw + 2 * pad,
+              th + 2 * pad,
+            );
+            ctx.fillStyle = chrome.text;
+            ctx.fillText(text, rect.x + 8 + pad, rect.y + rect.h - pad - 8);
+            // pane borders
+            ctx.fillStyle = chrome.border;
+            if (rect.x > 0) ctx.fillRect(rect.x - 1, rect.y, 2, rect.h);
+            if (rect.y > 0) ctx.fillRect(rect.x, rect.y - 1, rect.w, 2);
+          });
+          ctx.textBaseline = "alphabetic";
+        }
 
-      ctx.fillStyle = "#fff";
-      ctx.fillRect(0, 0, cw, ch);
-      ctx.imageSmoothingEnabled = false;
-
-      // Draw cropped source region, scaled to fill screen
-      ctx.drawImage(off.canvas, sx, sy, viewW, viewH, dx, dy, drawW, drawH);
+        const scan = scanRef.current;
+        if (scan && simMode !== "life") {
+          const width = g.current.length;
+          const markers = [];
+          for (const p of scan.particles) {
+            // alive ones carried on from the last scan at their speed
+            const gen = p.alive && g.gen >= p.lastGen ? g.gen : p.lastGen;
+            const x = p.x + p.speed * (gen - p.lastGen);
+            markers.push({
+              gen,
+              x: ((x % width) + width) % width,
+              label: `#${p.id}`,
+            });
+          }
+          for (const c of scan.collisions) {
+            markers.push({ gen: c.gen, x: c.x, label: "✕" });
+          }
+          drawMarkers(ctx, g, markers, {
+            edge: drawEdge,
+            flipLR,
+            layout: camRef.current.layout,
+            viewport: rects[0],
+            color: "#c0392b",
+            font: `bold ${font}`,
+          });
+        }
+      }
 
       // Optional debug text
       if (hudOpen) {
-        ctx.fillStyle = "#000";
-        ctx.font = `${Math.max(12, Math.floor(12 * (window.devicePixelRatio || 1)))}px sans-serif`;
+        ctx.fillStyle = chrome.text;
+        ctx.font = font;
         const tr = tiltRef.current;
-        const age = motionOn
+        const age = tiltOn
           ? `${Math.max(0, Date.now() - lastSensorTsRef.current)}ms`
           : "n/a";
         ctx.fillText(
-          `Rule ${rule} | Edge ${edge} | speed ${stepsPerSec.toFixed(0)} steps/s | beta ${tr.beta.toFixed(
+          `${simMode === "life" ? `Life ${lifeRuleText}` : ruleLabel(rule, ruleFamily, states, radius)} | ${boundary} | Edge ${edge} | speed ${stepsPerSec.toFixed(0)} steps/s | beta ${tr.beta.toFixed(
             1,
           )} gamma ${tr.gamma.toFixed(1)} | last ${age}`,
           12,
@@ -472,22 +1487,47 @@ export default function TiltEdgeECA_FillScreen() {
         );
       }
 
-      rafRef.current = requestAnimationFrame(tick);
+      // Feed the recorder; it says when it has enough generations
+      const rec = recorderRef.current;
+      if (rec && rec.onFrame(canvas, gridRef.current.gen, now)) {
+        recorderRef.current = null;
+        rec.finish();
+      }
     }
 
-    rafRef.current = requestAnimationFrame(tick);
-    return () => cancelAnimationFrame(rafRef.current);
+    return startFrameLoop(tick);
   }, [
     activeEdge,
     H,
-    lut,
+    simMode,
+    lifeRule,
+    lifeRuleText,
+    gravity,
+    paletteRgb,
+    palette,
+    colorMode,
+    ruleFamily,
+    states,
+    radius,
+    boundary,
     manualEdge,
-    motionOn,
+    tiltOn,
+    activeProfile,
     rule,
     running,
-    zoom,
     hudOpen,
-    seedMode,
+    chrome,
+    morphBase,
+    tiltDrives,
+    flow,
+    compare,
+    W,
+    sim,
+    gridRef,
+    fastForwardRef,
+    compareRef,
+    analyzerRef,
+    lifeRandRef,
   ]);
 
   return (
@@ -497,35 +1537,96 @@ export default function TiltEdgeECA_FillScreen() {
         style={{
           width: "100vw",
           height: "100dvh",
-          background: "#fff",
+          background: palette[0],
           position: "relative",
           overflow: "hidden",
         }}
       >
         <canvas
           ref={canvasRef}
-          style={{ width: "100%", height: "100%", display: "block" }}
-        />
-
-        {/* HUD Toggle */}
-        <button
-          onClick={() => setHudOpen((v) => !v)}
           style={{
-            position: "absolute",
-            top: 12,
-            right: 12,
-            zIndex: 10,
-            padding: "10px 12px",
-            borderRadius: 10,
-            border: "1px solid #ddd",
-            background: "rgba(255,255,255,0.9)",
-            fontWeight: 700,
+            width: "100%",
+            height: "100%",
+            display: "block",
+            touchAction: "none",
+          }}
+          onPointerDown={(e) => {
+            if (e.pointerType === "touch") {
+              onTouchPointer(e);
+              return;
+            }
+            e.currentTarget.setPointerCapture(e.pointerId);
+            // shift/middle drag pans, plain drag tilts (when virtual tilt is on)
+            if (e.shiftKey || e.button === 1 || !virtualOn) {
+              mousePanRef.current = canvasPoint(e.currentTarget, e);
+              return;
+            }
+            if (e.button !== 0) return;
+            const rect = e.currentTarget.getBoundingClientRect();
+            // full tilt a quarter of the screen away from the press
+            const span = Math.min(rect.width, rect.height) / 4;
+            virtualTilt.dragStart(e.clientX, e.clientY, span);
+          }}
+          onPointerMove={(e) => {
+            if (e.pointerType === "touch") {
+              onTouchPointer(e);
+              return;
+            }
+            const last = mousePanRef.current;
+            if (last) {
+              const p = canvasPoint(e.currentTarget, e);
+              panBy(camRef.current, p.x - last.x, p.y - last.y);
+              mousePanRef.current = p;
+              return;
+            }
+            virtualTilt.dragMove(e.clientX, e.clientY);
+          }}
+          onPointerUp={(e) => {
+            if (e.pointerType === "touch") onTouchPointer(e);
+            mousePanRef.current = null;
+            virtualTilt.dragEnd();
           }}
-        >
-          {hudOpen ? "Hide HUD" : "Show HUD"}
-        </button>
+          onPointerCancel={(e) => {
+            if (e.pointerType === "touch") onTouchPointer(e);
+            mousePanRef.current = null;
+            virtualTilt.dragEnd();
+          }}
+        />
+
+        {minimapOn && zoom > 1 && (
+          <Minimap offRef={offRef} camRef={camRef} chrome={chrome} />
+        )}
+
+        {tiltOn && !manualEdge && (
+          <TiltIndicator
+            tiltRef={tiltRef}
+            profile={activeProfile}
+            chrome={chrome}
+          />
+        )}
 
-        {hudOpen && (
+        {/* HUD Toggle (hidden while a kiosk is locked) */}
+        {hudAllowed && (
+          <button
+            onClick={() => setHudOpen((v) => !v)}
+            style={{
+              position: "absolute",
+              top: 12,
+              right: 12,
+              zIndex: 10,
+              padding: "10px 12px",
+              borderRadius: 10,
+              border: `1px solid ${chrome.border}`,
+              background: chrome.panel,
+              color: chrome.text,
+              fontWeight: 700,
+            }}
+          >
+            {hudOpen ? "Hide HUD" : "Show HUD"}
+          </button>
+        )}
+
+        {hudAllowed && hudOpen && (
           <div
             style={{
               position: "absolute",
@@ -534,8 +1635,10 @@ export default function TiltEdgeECA_FillScreen() {
               zIndex: 10,
               padding: 12,
               borderRadius: 12,
-              border: "1px solid #ddd",
-              background: "rgba(255,255,255,0.9)",
+              border: `1px solid ${chrome.border}`,
+              background: chrome.panel,
+              color: chrome.text,
+              colorScheme: chrome.scheme,
               display: "flex",
               gap: 10,
               flexWrap: "wrap",
@@ -543,57 +1646,407 @@ export default function TiltEdgeECA_FillScreen() {
               maxWidth: "calc(100vw - 140px)",
             }}
           >
-            {/* RULE INPUT (text) */}
-            <label>
-              Rule:&nbsp;
-              <input
-                type="text"
-                inputMode="numeric"
-                pattern="[0-9]*"
-                value={ruleText}
-                onChange={(e) => {
-                  // allow only digits + empty while typing
-                  const v = e.target.value;
-                  if (/^\d*$/.test(v)) setRuleText(v);
-                }}
-                onBlur={commitRuleText}
-                onKeyDown={(e) => {
-                  if (e.key === "Enter") {
-                    e.currentTarget.blur();
-                    commitRuleText();
+            {/* Simulation mode */}
+            <select
+              value={simMode}
+              onChange={(e) => setSimMode(e.target.value)}
+            >
+              <option value="1d">1D rule</option>
+              <option value="life">2D Life-like</option>
+            </select>
+
+            {simMode === "1d" ? (
+              <>
+                {/* RULE INPUT (text) */}
+                <label>
+                  Rule:&nbsp;
+                  <input
+                    type="text"
+                    inputMode="numeric"
+                    pattern="[0-9]*"
+                    value={ruleText}
+                    onChange={(e) => {
+                      // allow only digits + empty while typing
+                      const v = e.target.value;
+                      if (/^\d*$/.test(v)) setRuleText(v);
+                    }}
+                    onBlur={commitRuleText}
+                    onKeyDown={(e) => {
+                      if (e.key === "Enter") {
+                        e.currentTarget.blur();
+                        commitRuleText();
+                      }
+                    }}
+                    style={{ width: 140 }}
+                  />
+                </label>
+
+                {/* Rule shape: family, states, radius */}
+                <select
+                  value={ruleFamily}
+                  onChange={(e) => setRuleShape(e.target.value, states, radius)}
+                >
+                  {RULE_FAMILIES.map((f) => (
+                    <option key={f.id} value={f.id}>
+                      {f.label}
+                    </option>
+                  ))}
+                </select>
+                <label>
+                  k:&nbsp;
+                  <select
+                    value={states}
+                    onChange={(e) =>
+                      setRuleShape(ruleFamily, Number(e.target.value), radius)
+                    }
+                  >
+                    {Array.from(
+                      { length: MAX_STATES - 1 },
+                      (_, i) => i + 2,
+                    ).map((k) => (
+                      <option key={k} value={k}>
+                        {k}
+                      </option>
+                    ))}
+                  </select>
+                </label>
+                <label>
+                  r:&nbsp;
+                  <select
+                    value={radius}
+                    onChange={(e) =>
+                      setRuleShape(ruleFamily, states, Number(e.target.value))
+                    }
+                  >
+                    {Array.from({ length: MAX_RADIUS }, (_, i) => i + 1).map(
+                      (r) => (
+                        <option key={r} value={r}>
+                          {r}
+                        </option>
+                      ),
+                    )}
+                  </select>
+                </label>
+
+                {/* Hybrid: rule B mixed in */}
+                <select
+                  value={hybrid.mode}
+                  onChange={(e) =>
+                    setHybrid((h) => ({ ...h, mode: e.target.value }))
                   }
-                }}
-                style={{ width: 90 }}
-              />
-            </label>
+                >
+                  {HYBRID_MODES.map((m) => (
+                    <option key={m.id} value={m.id}>
+                      {m.label}
+                    </option>
+                  ))}
+                </select>
+                {hybrid.mode !== "off" && (
+                  <label>
+                    B:&nbsp;
+                    <input
+                      type="text"
+                      inputMode="numeric"
+                      value={ruleBText}
+                      onChange={(e) => {
+                        const v = e.target.value;
+                        if (/^\d*$/.test(v)) setRuleBText(v);
+                      }}
+                      onBlur={commitRuleBText}
+                      onKeyDown={(e) => {
+                        if (e.key === "Enter") e.currentTarget.blur();
+                      }}
+                      style={{ width: 100 }}
+                    />
+                  </label>
+                )}
+                {hybrid.mode === "alternate" && (
+                  <label>
+                    every&nbsp;
+                    <input
+                      type="number"
+                      min={1}
+                      value={hybrid.every}
+                      onChange={(e) =>
+                        setHybrid((h) => ({
+                          ...h,
+                          every: Math.max(
+                            1,
+                            Math.floor(Number(e.target.value)) || 1,
+                          ),
+                        }))
+                      }
+                      style={{ width: 64 }}
+                    />
+                  </label>
+                )}
+                {hybrid.mode === "stripes" && (
+                  <label>
+                    width&nbsp;
+                    <input
+                      type="number"
+                      min={1}
+                      max={4096}
+                      value={hybrid.stripe}
+                      onChange={(e) =>
+                        setHybrid((h) => ({
+                          ...h,
+                          stripe: clamp(
+                            Math.floor(Number(e.target.value)) || 1,
+                            1,
+                            4096,
+                          ),
+                        }))
+                      }
+                      style={{ width: 64 }}
+                    />
+                  </label>
+                )}
+                {hybrid.mode === "morph" && (
+                  <label title="chance of rule B per cell when tilt isn't driving it">
+                    p&nbsp;
+                    <input
+                      type="range"
+                      min={0}
+                      max={1}
+                      step={0.01}
+                      value={morphBase}
+                      onChange={(e) => setMorphBase(Number(e.target.value))}
+                    />
+                    &nbsp;{morphBase.toFixed(2)}
+                  </label>
+                )}
+                <NoiseControls
+                  noise={noise}
+                  setNoise={setNoise}
+                  tiltDrives={tiltDrives}
+                  setTiltDrives={setTiltDrives}
+                  rule={rule}
+                  elementary={elementary}
+                />
+                <CompareControls
+                  compare={compare}
+                  setCompare={setCompare}
+                  validRule={(text) =>
+                    compareRule(text, ruleFamily, states, radius) !== null
+                  }
+                />
+              </>
+            ) : (
+              <>
+                {/* LIFE RULE INPUT (B/S notation) */}
+                <label>
+                  Rule:&nbsp;
+                  <input
+                    type="text"
+                    value={lifeRuleDraft}
+                    onChange={(e) => setLifeRuleDraft(e.target.value)}
+                    onBlur={commitLifeRuleText}
+                    onKeyDown={(e) => {
+                      if (e.key === "Enter") {
+                        e.currentTarget.blur();
+                        commitLifeRuleText();
+                      }
+                    }}
+                    style={{ width: 120 }}
+                  />
+                </label>
+                <select
+                  value={
+                    LIFE_PRESETS.find((p) => p.rule === lifeRuleText)?.rule ??
+                    ""
+                  }
+                  onChange={(e) => {
+                    setLifeRuleText(e.target.value);
+                    setLifeRuleDraft(e.target.value);
+                  }}
+                >
+                  <option value="" disabled>
+                    preset…
+                  </option>
+                  {LIFE_PRESETS.map((p) => (
+                    <option key={p.rule} value={p.rule}>
+                      {p.name}
+                    </option>
+                  ))}
+                </select>
+
+                {/* Gravity (tilt drift) */}
+                <label
+                  style={{
+                    display: "inline-flex",
+                    gap: 8,
+                    alignItems: "center",
+                  }}
+                >
+                  Gravity:&nbsp;
+                  <input
+                    type="range"
+                    min={0}
+                    max={1}
+                    step={0.05}
+                    value={gravity}
+                    onChange={(e) => setGravity(parseFloat(e.target.value))}
+                  />
+                </label>
+              </>
+            )}
+
+            {/* Palette (one swatch per state) */}
+            <span style={{ display: "inline-flex", gap: 4 }}>
+              {palette.slice(0, simMode === "life" ? 2 : states).map((c, i) => (
+                <input
+                  key={i}
+                  type="color"
+                  title={`state ${i}`}
+                  value={c}
+                  onChange={(e) =>
+                    setPalette((p) =>
+                      p.map((old, j) => (j === i ? e.target.value : old)),
+                    )
+                  }
+                  style={{ width: 28, height: 24, padding: 0 }}
+                />
+              ))}
+            </span>
+
+            <select
+              value={
+                Object.keys(PALETTE_PRESETS).find(
+                  (k) => PALETTE_PRESETS[k].join() === palette.join(),
+                ) ?? ""
+              }
+              onChange={(e) => setPalette(PALETTE_PRESETS[e.target.value])}
+              title="palette"
+            >
+              <option value="" disabled>
+                custom
+              </option>
+              {Object.keys(PALETTE_PRESETS).map((k) => (
+                <option key={k} value={k}>
+                  {k}
+                </option>
+              ))}
+            </select>
+            <select
+              value={simMode === "life" ? "state" : colorMode}
+              disabled={simMode === "life"}
+              onChange={(e) => setColorMode(e.target.value)}
+              title="colour by"
+            >
+              {COLOR_MODES.map((m) => (
+                <option key={m.id} value={m.id}>
+                  {m.label}
+                </option>
+              ))}
+            </select>
+            <button onClick={toggleTheme}>
+              {theme === "dark" ? "Light" : "Dark"} theme
+            </button>
 
             <button onClick={() => setRunning((v) => !v)}>
               {running ? "Pause" : "Play"}
             </button>
-            <button onClick={() => resetSimulation()}>Reset</button>
+            <button onClick={() => sim.reset()}>Reset</button>
+            {simMode !== "life" && (
+              <TimelineBar
+                timelineRef={timelineRef}
+                gridRef={gridRef}
+                historyFirst={sim.historyFirst}
+                onSeek={sim.seekTo}
+                onStep={sim.stepGeneration}
+                onJump={sim.jumpTo}
+              />
+            )}
+            <span
+              style={{ opacity: 0.6 }}
+              title="arrows/WASD tilt when virtual tilt is on"
+            >
+              keys: space pause · R reset · +/− rule · H HUD · M mute
+            </span>
 
             {/* Seed toggle */}
-            <label
-              style={{ display: "inline-flex", gap: 6, alignItems: "center" }}
-            >
-              <input
-                type="radio"
-                name="seedMode"
-                checked={seedMode === "single"}
-                onChange={() => setSeedMode("single")}
+            {[
+              ["single", "Single seed"],
+              ["random", "Random seed"],
+              ["pattern", "Pattern"],
+            ].map(([mode, label]) => (
+              <label
+                key={mode}
+                style={{ display: "inline-flex", gap: 6, alignItems: "center" }}
+              >
+                <input
+                  type="radio"
+                  name="seedMode"
+                  checked={seedMode === mode}
+                  onChange={() => chooseSeedMode(mode)}
+                />
+                {label}
+              </label>
+            ))}
+
+            {/* Random seed: reproducible PRNG seed + density */}
+            {seedMode === "random" && (
+              <span
+                style={{ display: "inline-flex", gap: 6, alignItems: "center" }}
+              >
+                <input
+                  type="number"
+                  min={0}
+                  max={4294967295}
+                  value={rngSeed}
+                  onChange={(e) => {
+                    const v = Number(e.target.value);
+                    if (Number.isInteger(v) && v >= 0 && v < 2 ** 32) {
+                      setRngSeed(v);
+                    }
+                  }}
+                  title="PRNG seed"
+                  style={{ width: 110 }}
+                />
+                <button
+                  onClick={() => setRngSeed(randomSeed())}
+                  title="new seed"
+                >
+                  🎲
+                </button>
+                <input
+                  type="range"
+                  min={0.01}
+                  max={1}
+                  step={0.01}
+                  value={density}
+                  onChange={(e) => setDensity(parseFloat(e.target.value))}
+                  title="density"
+                />
+                <span style={{ width: 40 }}>{Math.round(density * 100)}%</span>
+              </span>
+            )}
+
+            {seedMode === "pattern" && seedPattern && (
+              <SeedEditor
+                pattern={fitRow(seedPattern, W)}
+                states={simMode === "life" ? 2 : states}
+                palette={palette}
+                onChange={setSeedPattern}
               />
-              Single seed
-            </label>
+            )}
+
+            {/* Boundary */}
             <label
-              style={{ display: "inline-flex", gap: 6, alignItems: "center" }}
+              style={{ display: "inline-flex", gap: 8, alignItems: "center" }}
             >
-              <input
-                type="radio"
-                name="seedMode"
-                checked={seedMode === "random"}
-                onChange={() => setSeedMode("random")}
-              />
-              Random seed
+              Edges:&nbsp;
+              <select
+                value={boundary}
+                onChange={(e) => setBoundary(e.target.value)}
+              >
+                {BOUNDARY_MODES.map((m) => (
+                  <option key={m.id} value={m.id}>
+                    {m.label}
+                  </option>
+                ))}
+              </select>
             </label>
 
             {/* Zoom */}
@@ -601,16 +2054,41 @@ export default function TiltEdgeECA_FillScreen() {
               style={{ display: "inline-flex", gap: 8, alignItems: "center" }}
             >
               Zoom:&nbsp;
+              {/* log scale: pinch and wheel cover the same range */}
               <input
                 type="range"
-                min={0.25}
-                max={3}
+                min={Math.log2(MIN_ZOOM)}
+                max={Math.log2(MAX_ZOOM)}
                 step={0.05}
-                value={zoom}
-                onChange={(e) => setZoom(parseFloat(e.target.value))}
+                value={Math.log2(zoom)}
+                onChange={(e) => setZoom(2 ** parseFloat(e.target.value))}
               />
               <span style={{ width: 60 }}>{zoom.toFixed(2)}x</span>
             </label>
+            <label>
+              <input
+                type="checkbox"
+                checked={follow}
+                onChange={(e) => setFollow(e.target.checked)}
+              />
+              &nbsp;follow newest
+            </label>
+            <label>
+              <input
+                type="checkbox"
+                checked={minimapOn}
+                onChange={(e) => setMinimapOn(e.target.checked)}
+              />
+              &nbsp;minimap
+            </label>
+            <button
+              onClick={() => {
+                Object.assign(camRef.current, { panX: 0, panY: 0 });
+                setZoom(1);
+              }}
+            >
+              Reset view
+            </button>
 
             {/* World size */}
             <label
@@ -621,9 +2099,11 @@ export default function TiltEdgeECA_FillScreen() {
                 value={worldPreset}
                 onChange={(e) => setWorldPreset(e.target.value)}
               >
-                <option value="low">low</option>
-                <option value="med">med</option>
-                <option value="high">high</option>
+                {Object.entries(WORLD_PRESETS).map(([id, { W }]) => (
+                  <option key={id} value={id}>
+                    {id === "xl" ? `${id} (${W})` : id}
+                  </option>
+                ))}
               </select>
             </label>
 
@@ -632,6 +2112,86 @@ export default function TiltEdgeECA_FillScreen() {
             </button>
             <span style={{ opacity: 0.8 }}>{sensorStatus}</span>
 
+            <label title="arrows/WASD, gamepad stick or mouse drag on the canvas">
+              <input
+                type="checkbox"
+                checked={virtualOn}
+                onChange={(e) => setVirtualOn(e.target.checked)}
+              />
+              &nbsp;virtual tilt
+            </label>
+
+            <label style={{ display: "flex", gap: 6, alignItems: "center" }}>
+              <span style={{ opacity: 0.8 }}>Sensor:</span>
+              <select
+                value={profile.name}
+                onChange={(e) => selectProfile(e.target.value)}
+              >
+                {[...BUILTIN_PROFILES, ...customProfiles].map((p) => (
+                  <option key={p.name} value={p.name}>
+                    {p.name}
+                  </option>
+                ))}
+              </select>
+            </label>
+            <button onClick={() => setCalibrating(true)}>Calibrate</button>
+            <button onClick={exportProfile}>Save profile</button>
+            <label style={{ cursor: "pointer" }}>
+              <span style={{ textDecoration: "underline" }}>Load profile</span>
+              <input
+                type="file"
+                accept="application/json,.json"
+                style={{ display: "none" }}
+                onChange={(e) => {
+                  const file = e.target.files?.[0];
+                  e.target.value = "";
+                  if (file) importProfile(file);
+                }}
+              />
+            </label>
+            {!profile.builtin && (
+              <button onClick={deleteProfile}>Delete profile</button>
+            )}
+
+            <button
+              onClick={
+                traceRecording ? stopTraceRecording : startTraceRecording
+              }
+              disabled={replay !== null}
+              style={{ fontWeight: traceRecording ? 700 : 400 }}
+            >
+              {traceRecording ? "Stop trace" : "Record trace"}
+            </button>
+            {replay ? (
+              <button onClick={() => setReplay(null)}>Stop replay</button>
+            ) : (
+              <label style={{ cursor: "pointer" }}>
+                <span style={{ textDecoration: "underline" }}>
+                  Replay trace
+                </span>
+                <input
+                  type="file"
+                  accept="application/json,.json"
+                  style={{ display: "none" }}
+                  onChange={(e) => {
+                    const file = e.target.files?.[0];
+                    e.target.value = "";
+                    if (file) replayTrace(file);
+                  }}
+                />
+              </label>
+            )}
+
+            {simMode !== "life" && (
+              <label title="grow toward the tilt at any angle, keeping the history on edge changes">
+                <input
+                  type="checkbox"
+                  checked={flow}
+                  onChange={(e) => setFlow(e.target.checked)}
+                />
+                &nbsp;continuous flow
+              </label>
+            )}
             <span style={{ opacity: 0.8 }}>Manual edge:</span>
             <button
               onClick={() => setManualEdge(null)}
@@ -648,8 +2208,188 @@ export default function TiltEdgeECA_FillScreen() {
                 {e}
               </button>
             ))}
+
+            <button onClick={copyLink}>Copy link</button>
+            {linkStatus && <span style={{ opacity: 0.8 }}>{linkStatus}</span>}
+            <PresetControls
+              presets={presets}
+              setPresets={setPresets}
+              current={() => ({
+                session: encodePermalink(sessionState()),
+                hudOpen,
+              })}
+              onLoad={loadPreset}
+            />
+
+            <button onClick={() => setGalleryOpen(true)}>Gallery</button>
+            {tour.on && (
+              <button onClick={() => setTour((t) => ({ ...t, on: false }))}>
+                Stop tour
+              </button>
+            )}
+
+            <button
+              onClick={() => {
+                analyzerRef.current = analysisOpen ? null : createAnalyzer();
+                setAnalysisOpen(!analysisOpen);
+              }}
+              style={{ fontWeight: analysisOpen ? 700 : 400 }}
+            >
+              Analysis
+            </button>
+            {simMode === "1d" && (
+              <button
+                onClick={() => setParticlesOpen((v) => !v)}
+                style={{ fontWeight: particlesOpen ? 700 : 400 }}
+              >
+                Particles
+              </button>
+            )}
+
+            <button
+              onClick={toggleSound}
+              style={{ fontWeight: soundOn ? 700 : 400 }}
+            >
+              Sound
+            </button>
+            {soundOn && (
+              <>
+                <select
+                  value={soundMapping}
+                  onChange={(e) => setSoundMapping(e.target.value)}
+                >
+                  {SONIFY_MAPPINGS.map((m) => (
+                    <option key={m.id} value={m.id}>
+                      {m.label}
+                    </option>
+                  ))}
+                </select>
+                <label>
+                  <input
+                    type="checkbox"
+                    checked={muted}
+                    onChange={(e) => setMuted(e.target.checked)}
+                  />
+                  &nbsp;mute
+                </label>
+              </>
+            )}
+
+            <button
+              onClick={() => setExportOpen((v) => !v)}
+              style={{ fontWeight: exportOpen ? 700 : 400 }}
+            >
+              Export
+            </button>
+            {exportOpen && (
+              <ExportPanel
+                chrome={chrome}
+                canvasRef={canvasRef}
+                recorderRef={recorderRef}
+                getWorldCanvas={() => offRef.current.view?.canvas}
+                getHistory={shownHistory}
+                getGen={() => gridRef.current.gen}
+                baseName={exportBaseName}
+                ruleName={exportRuleName}
+                states={simMode === "life" ? 2 : states}
+                colors={[
+                  ...(simMode === "life"
+                    ? modeColors("state", paletteRgb, 2)
+                    : modeColors(colorMode, paletteRgb, states)),
+                  ...(simMode !== "life" && compare.panes > 1 && compare.diff
+                    ? [DIFF_RGB]
+                    : []),
+                  [0, 0, 0],
+                ]}
+              />
+            )}
+
+            <KioskControls
+              kiosk={kiosk}
+              setKiosk={(update) => {
+                // whoever changes the settings already holds the HUD
+                setUnlocked(true);
+                setKiosk(update);
+              }}
+              onLock={lockKiosk}
+            />
           </div>
         )}
+
+        {kiosk.on && !unlocked && (
+          <KioskLock
+            pin={kiosk.pin || DEFAULT_KIOSK.pin}
+            onUnlock={() => {
+              setUnlocked(true);
+              setHudOpen(true);
+            }}
+            chrome={chrome}
+          />
+        )}
+
+        {calibrating && (
+          <CalibrationWizard
+            chrome={chrome}
+            rawTiltRef={rawTiltRef}
+            motionOn={motionOn}
+            enableMotion={enableMotion}
+            baseProfile={profile}
+            onSave={(p) => {
+              storeProfile(p);
+              setCalibrating(false);
+            }}
+            onClose={() => setCalibrating(false)}
+          />
+        )}
+
+        {analysisOpen && (
+          <AnalysisPanel analyzerRef={analyzerRef} chrome={chrome} />
+        )}
+
+        {particlesOpen && simMode === "1d" && (
+          <ParticlePanel
+            chrome={chrome}
+            gridRef={gridRef}
+            scanRef={scanRef}
+            r={radius}
+            wrap={boundary === "periodic"}
+            onExtract={(row) => {
+              setSeedPattern(row);
+              setSeedMode("pattern");
+            }}
+          />
+        )}
+
+        {galleryOpen && (
+          <GalleryView
+            chrome={chrome}
+            current={
+              simMode === "1d" &&
+              ruleFamily === "general" &&
+              states === 2 &&
+              radius === 1
+                ? Number(rule)
+                : null
+            }
+            seedMode={seedMode}
+            rngSeed={rngSeed}
+            density={density}
+            seedPattern={seedPattern}
+            boundary={boundary}
+            palette={palette}
+            uniqueOnly={uniqueOnly}
+            setUniqueOnly={setUniqueOnly}
+            favourites={favourites}
+            toggleFavourite={toggleFavourite}
+            tour={tour}
+            setTour={setTour}
+            onPick={(r) => {
+              loadElementaryRule(r);
+              setGalleryOpen(false);
+            }}
+            onClose={() => setGalleryOpen(false)}
+          />
+        )}
       </div>
     </div>
   );
@@ -0,0 +1,62 @@
+import React, { useEffect, useRef } from "react";
+
+const SIZE = 72;
+
+/**
+ * Small bubble level: the outer ring is full tilt (maxAngle), the inner
+ * ring the deadzone, the dot the current tilt in the profile's frame.
+ */
+export default function TiltIndicator({ tiltRef, profile, chrome }) {
+  const ref = useRef(null);
+
+  useEffect(() => {
+    const canvas = ref.current;
+    if (!canvas) return;
+    const ctx = canvas.getContext("2d");
+    const c = SIZE / 2;
+    const R = c - 4;
+    let raf = 0;
+
+    function draw() {
+      const { x = 0, y = 0, edge } = tiltRef.current;
+      const scale = R / profile.maxAngle;
+      const clampR = (v) => Math.max(-R, Math.min(R, v * scale));
+
+      ctx.clearRect(0, 0, SIZE, SIZE);
+      ctx.fillStyle = chrome.veil;
+      ctx.strokeStyle = chrome.muted;
+      ctx.lineWidth = 1;
+      ctx.beginPath();
+      ctx.arc(c, c, R, 0, Math.PI * 2);
+      ctx.fill();
+      ctx.stroke();
+      ctx.beginPath();
+      ctx.arc(c, c, Math.min(R, profile.deadzone * scale), 0, Math.PI * 2);
+      ctx.stroke();
+
+      ctx.fillStyle = edge ? "#e4572e" : "#888";
+      ctx.beginPath();
+      ctx.arc(c + clampR(x), c - clampR(y), 5, 0, Math.PI * 2);
+      ctx.fill();
+
+      raf = requestAnimationFrame(draw);
+    }
+    raf = requestAnimationFrame(draw);
+    return () => cancelAnimationFrame(raf);
+  }, [tiltRef, profile, chrome]);
+
+  return (
+    <canvas
+      ref={ref}
+      width={SIZE}
+      height={SIZE}
+      style={{
+        position: "absolute",
+        right: 12,
+        bottom: 12,
+        zIndex: 10,
+        pointerEvents: "none",
+      }}
+    />
+  );
+}
@@ -0,0 +1,73 @@
+import React, { useEffect, useState } from "react";
+
+/**
+ * HUD strip for the 1D history: scrubber over everything the timeline
+ * still holds (from historyFirst() on, if given), single steps either way
+ * and a jump-to-generation box. Polls the refs rather than re-rendering
+ * the whole arcade per step.
+ */
+export default function TimelineBar({
+  timelineRef,
+  gridRef,
+  historyFirst,
+  onSeek,
+  onStep,
+  onJump,
+}) {
+  const [span, setSpan] = useState({ first: 0, last: 0, gen: 0 });
+  const [jumpText, setJumpText] = useState("");
+
+  useEffect(() => {
+    const id = setInterval(() => {
+      const tl = timelineRef.current;
+      const first = historyFirst?.() ?? tl.first;
+      const gen = gridRef.current.gen;
+      setSpan((s) =>
+        s.first === first && s.last === tl.last && s.gen === gen
+          ? s
+          : { first, last: tl.last, gen },
+      );
+    }, 200);
+    return () => clearInterval(id);
+  }, [timelineRef, gridRef, historyFirst]);
+
+  function jump() {
+    const n = Number(jumpText);
+    if (Number.isInteger(n) && n >= 0) onJump(n);
+  }
+
+  return (
+    <span style={{ display: "inline-flex", gap: 6, alignItems: "center" }}>
+      <button onClick={() => onStep(-1)} title="step back">
+        ◀
+      </button>
+      <input
+        type="range"
+        min={span.first}
+        max={Math.max(span.first, span.last)}
+        step={1}
+        value={Math.min(Math.max(span.gen, span.first), span.last)}
+        onChange={(e) => onSeek(Number(e.target.value))}
+        style={{ width: 180 }}
+        title={`history ${span.first}–${span.last}`}
+      />
+      <button onClick={() => onStep(1)} title="step forward">
+        ▶
+      </button>
+      <span style={{ minWidth: 90, opacity: 0.8 }}>
+        gen {span.gen}
+        {span.gen < span.last ? ` / ${span.last}` : ""}
+      </span>
+      <input
+        type="number"
+        min={0}
+        placeholder="jump to"
+        value={jumpText}
+        onChange={(e) => setJumpText(e.target.value)}
+        onKeyDown={(e) => e.key === "Enter" && jump()}
+        style={{ width: 90 }}
+      />
+      <button onClick={jump}>Go</button>
+    </span>
+  );
+}
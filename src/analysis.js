@@ -0,0 +1,192 @@
+/**
+ * Live statistics over the generations as they are produced: density,
+ * block entropy, spatial/temporal periodicity and a Wolfram class guess.
+ * push() is cheap (O(width)) and runs per step; snapshot() does the
+ * heavier searches and is meant to be polled a few times a second.
+ */
+
+const SERIES = 240; // samples kept for the sparklines
+const RECENT = 64; // rows kept for period checks...
+const RECENT_BYTES = 8e6; // ...unless they are big (2D worlds)
+const MAX_SHIFT = 8; // |cells per period| searched for moving cycles
+const MAX_SPATIAL = 64;
+const HASH_SPAN = 4096; // generations a row hash is remembered
+
+// FNV-1a over the cells
+function hashRow(row) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < row.length; i++) {
+    h ^= row[i];
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+export function rowDensity(row) {
+  let live = 0;
+  for (let i = 0; i < row.length; i++) if (row[i]) live++;
+  return row.length ? live / row.length : 0;
+}
+
+// Block length for entropy, so there are at most ~256 block kinds
+function blockLength(k) {
+  return Math.max(2, Math.floor(8 / Math.log2(Math.max(2, k))));
+}
+
+/**
+ * Shannon entropy of length-L blocks, per cell, normalized to 0..1
+ * (1 = every block equally likely).
+ */
+export function blockEntropy(row, k = 2) {
+  const L = Math.min(blockLength(k), row.length);
+  const kinds = k ** L;
+  const counts = new Uint32Array(kinds);
+  let idx = 0;
+  for (let i = 0; i < L - 1; i++) idx = idx * k + row[i];
+  const total = row.length - L + 1;
+  for (let i = L - 1; i < row.length; i++) {
+    idx = (idx * k + row[i]) % kinds;
+    counts[idx]++;
+  }
+  let h = 0;
+  for (const c of counts) {
+    if (c) {
+      const p = c / total;
+      h -= p * Math.log2(p);
+    }
+  }
+  return h / (L * Math.log2(k));
+}
+
+// Smallest p with row[i] == row[i+p] across the interior (edges skipped)
+export function spatialPeriod(row, margin = MAX_SHIFT) {
+  const n = row.length;
+  for (let p = 1; p <= MAX_SPATIAL && p < n - 2 * margin; p++) {
+    let ok = true;
+    for (let i = margin; i + p < n - margin; i++) {
+      if (row[i] !== row[i + p]) {
+        ok = false;
+        break;
+      }
+    }
+    if (ok) return p;
+  }
+  return null;
+}
+
+// Does `a` equal `b` moved right by `shift` cells (interior only)?
+function sameShifted(a, b, shift, margin) {
+  for (let i = margin; i < a.length - margin; i++) {
+    if (a[i] !== b[i - shift]) return false;
+  }
+  return true;
+}
+
+/**
+ * Heuristic class guess:
+ *   I   dies out / uniform
+ *   II  settles into a (possibly moving) cycle
+ *   III no cycle, near-maximal entropy
+ *   IV  no cycle, structured (intermediate entropy)
+ */
+export function classify({ gen, density, entropy, temporal }) {
+  if (gen < RECENT) return "…";
+  if (density === 0 || density === 1 || entropy < 0.02) return "I";
+  if (temporal) return "II";
+  return entropy > 0.85 ? "III" : "IV";
+}
+
+export function createAnalyzer() {
+  let k = 2;
+  let gen = 0;
+  let densities = [];
+  let entropies = [];
+  let recent = [];
+  let hashes = new Map(); // hash -> last gen seen
+  let hashOrder = [];
+  let exact = null; // exact repeat period found by hashing
+
+  function reset() {
+    gen = 0;
+    densities = [];
+    entropies = [];
+    recent = [];
+    hashes = new Map();
+    hashOrder = [];
+    exact = null;
+  }
+
+  return {
+    reset,
+
+    push(row, states = 2) {
+      k = states;
+      gen++;
+      densities.push(rowDensity(row));
+      entropies.push(blockEntropy(row, k));
+      if (densities.length > SERIES) {
+        densities.shift();
+        entropies.shift();
+      }
+
+      const copy = row.slice();
+      recent.push(copy);
+      const keep = Math.max(
+        2,
+        Math.min(RECENT, Math.floor(RECENT_BYTES / copy.length)),
+      );
+      while (recent.length > keep) recent.shift();
+
+      const h = hashRow(copy);
+      const seen = hashes.get(h);
+      if (seen !== undefined) {
+        const period = gen - seen;
+        // verify when we still hold the old row; trust the hash otherwise
+        const old = recent[recent.length - 1 - period];
+        if (!old || sameShifted(copy, old, 0, 0)) exact = period;
+      } else if (exact !== null) {
+        exact = null; // a brand-new row: whatever cycle we saw is broken
+      }
+      hashes.set(h, gen);
+      hashOrder.push([h, gen]);
+      while (hashOrder.length && hashOrder[0][1] < gen - HASH_SPAN) {
+        const [oldH, oldGen] = hashOrder.shift();
+        if (hashes.get(oldH) === oldGen) hashes.delete(oldH);
+      }
+    },
+
+    snapshot() {
+      const last = recent[recent.length - 1];
+      const density = densities[densities.length - 1] ?? 0;
+      const entropy = entropies[entropies.length - 1] ?? 0;
+
+      // moving cycles: row(t) == row(t - p) shifted by s
+      let temporal = exact === null ? null : { period: exact, shift: 0 };
+      if (!temporal && last) {
+        search: for (let p = 1; p < recent.length; p++) {
+          const old = recent[recent.length - 1 - p];
+          for (let s = -MAX_SHIFT; s <= MAX_SHIFT; s++) {
+            if (s !== 0 && sameShifted(last, old, s, MAX_SHIFT)) {
+              temporal = { period: p, shift: s };
+              break search;
+            }
+          }
+        }
+      }
+
+      const stats = {
+        gen,
+        density,
+        entropy,
+        spatialPeriod: last ? spatialPeriod(last) : null,
+        temporal,
+      };
+      return {
+        ...stats,
+        cls: classify(stats),
+        densitySeries: densities.slice(),
+        entropySeries: entropies.slice(),
+      };
+    },
+  };
+}
@@ -0,0 +1,534 @@
+/**
+ * Cellular automaton core: rule tables, boundary handling and stepping for
+ * 1D (k-state, radius-r) and 2D Life-like worlds. No DOM, no React, so it
+ * can run in the worker as well as on the main thread.
+ */
+
+export function clamp(x, a, b) {
+  return Math.max(a, Math.min(b, x));
+}
+
+/**
+ * Seedable PRNG (mulberry32): same seed, same run. Returns a function
+ * yielding floats in [0, 1), a drop-in for Math.random.
+ */
+export function createRng(seed) {
+  let a = seed >>> 0;
+  return function rand() {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Fresh 32-bit seed for the PRNG
+export function randomSeed() {
+  return Math.floor(Math.random() * 4294967296) >>> 0;
+}
+
+// n cells, each non-zero with probability `density` (uniform over 1..k-1)
+export function randomRow(n, k, density, rand) {
+  const row = new Uint8Array(n);
+  for (let i = 0; i < n; i++) {
+    if (rand() < density) row[i] = 1 + Math.floor(rand() * (k - 1));
+  }
+  return row;
+}
+
+// Rule families (Wolfram code numbering)
+// - general    : one base-k digit per full neighborhood (k^(2r+1) entries)
+// - totalistic : one digit per neighborhood sum
+// - outer      : outer-totalistic, digit index = k * (sum of outer cells) + center
+export const RULE_FAMILIES = [
+  { id: "general", label: "general" },
+  { id: "totalistic", label: "totalistic" },
+  { id: "outer", label: "outer-totalistic" },
+];
+
+export const MAX_STATES = 6;
+export const MAX_RADIUS = 3;
+
+// Number of digits in a rule code (= LUT entries)
+export function ruleSize(family, k, r) {
+  const span = 2 * r + 1;
+  if (family === "totalistic") return span * (k - 1) + 1;
+  if (family === "outer") return k * ((span - 1) * (k - 1) + 1);
+  return k ** span;
+}
+
+// Largest valid code, as BigInt (k^size - 1)
+export function maxRuleCode(family, k, r) {
+  return BigInt(k) ** BigInt(ruleSize(family, k, r)) - 1n;
+}
+
+// Rule code (number or BigInt) -> LUT of base-k digits, least significant
+// first. toString(k) converts in near-linear time; dividing by k digit by
+// digit is quadratic and takes seconds for the largest k=6 r=3 codes.
+export function makeRuleLUT(rule, family = "general", k = 2, r = 1) {
+  const lut = new Uint8Array(ruleSize(family, k, r));
+  const code = BigInt(rule);
+  if (code <= 0n) return lut;
+  const digits = code.toString(k);
+  const n = Math.min(lut.length, digits.length);
+  for (let i = 0; i < n; i++) {
+    lut[i] = digits.charCodeAt(digits.length - 1 - i) - 48;
+  }
+  return lut;
+}
+
+export function ruleLabel(rule, family, k, r) {
+  if (family === "general" && k === 2 && r === 1) return `Rule ${rule}`;
+  const tag =
+    family === "general" ? "" : family === "totalistic" ? " T" : " OT";
+  return `k=${k} r=${r}${tag} ${rule}`;
+}
+
+// What the cells just outside the row look like
+export const BOUNDARY_MODES = [
+  { id: "periodic", label: "wrap" },
+  { id: "reflective", label: "mirror" },
+  { id: "fixed0", label: "fixed 0" },
+  { id: "fixed1", label: "fixed 1" },
+  { id: "noise", label: "edge noise" },
+];
+
+/**
+ * Value of an out-of-range cell i (i < 0 or i >= n) for the given boundary mode.
+ * - periodic  : torus, the row wraps around
+ * - reflective: mirror, the edge cells are reflected back in
+ * - fixed0/1  : constant wall of state 0 / state 1
+ * - noise     : fresh random state at the edges every step (from `rand`)
+ */
+export function boundaryCell(prev, i, boundary, k = 2, rand = Math.random) {
+  const n = prev.length;
+  switch (boundary) {
+    case "periodic":
+      return prev[((i % n) + n) % n];
+    case "reflective":
+      return prev[clamp(i < 0 ? -i - 1 : 2 * n - 1 - i, 0, n - 1)];
+    case "fixed1":
+      return 1;
+    case "noise":
+      return Math.floor(rand() * k);
+    default:
+      return 0;
+  }
+}
+
+// Elementary fast path (k=2, r=1, 8-entry LUT)
+export function stepECA(prev, lut, boundary = "fixed0", rand = Math.random) {
+  const n = prev.length;
+  const next = new Uint8Array(n);
+  const leftEdge = boundaryCell(prev, -1, boundary, 2, rand);
+  const rightEdge = boundaryCell(prev, n, boundary, 2, rand);
+  for (let i = 0; i < n; i++) {
+    const left = i === 0 ? leftEdge : prev[i - 1];
+    const mid = prev[i];
+    const right = i === n - 1 ? rightEdge : prev[i + 1];
+    const idx = (left << 2) | (mid << 1) | right;
+    next[i] = lut[idx];
+  }
+  return next;
+}
+
+/**
+ * Generic k-state, radius-r step. `spec` is { family, k, r, lut }.
+ * The row is padded with r ghost cells per side, then a sliding window
+ * keeps either the full neighborhood index or the neighborhood sum.
+ */
+export function stepCA(prev, spec, boundary = "fixed0", rand = Math.random) {
+  const { family, k, r, lut } = spec;
+  if (family === "general" && k === 2 && r === 1) {
+    return stepECA(prev, lut, boundary, rand);
+  }
+
+  const n = prev.length;
+  const span = 2 * r + 1;
+  const pad = new Uint8Array(n + 2 * r);
+  pad.set(prev, r);
+  for (let j = 1; j <= r; j++) {
+    pad[r - j] = boundaryCell(prev, -j, boundary, k, rand);
+    pad[r + n - 1 + j] = boundaryCell(prev, n - 1 + j, boundary, k, rand);
+  }
+
+  const next = new Uint8Array(n);
+  if (family === "general") {
+    const top = k ** span;
+    let idx = 0;
+    for (let j = 0; j < span - 1; j++) idx = idx * k + pad[j];
+    for (let i = 0; i < n; i++) {
+      idx = (idx * k + pad[i + span - 1]) % top;
+      next[i] = lut[idx];
+    }
+    return next;
+  }
+
+  let sum = 0;
+  for (let j = 0; j < span - 1; j++) sum += pad[j];
+  for (let i = 0; i < n; i++) {
+    sum += pad[i + span - 1];
+    if (family === "totalistic") {
+      next[i] = lut[sum];
+    } else {
+      const center = pad[i + r];
+      next[i] = lut[k * (sum - center) + center];
+    }
+    sum -= pad[i];
+  }
+  return next;
+}
+
+// --- 2D Life-like (outer-totalistic, Moore neighborhood) ---
+
+export const LIFE_PRESETS = [
+  { name: "Life", rule: "B3/S23" },
+  { name: "HighLife", rule: "B36/S23" },
+  { name: "Seeds", rule: "B2/S" },
+  { name: "Day & Night", rule: "B3678/S34678" },
+  { name: "Replicator", rule: "B1357/S1357" },
+  { name: "Maze", rule: "B3/S12345" },
+  { name: "Diamoeba", rule: "B35678/S5678" },
+  { name: "2x2", rule: "B36/S125" },
+];
+
+/**
+ * Parse "B3/S23" notation (case-insensitive, slash optional).
+ * Also accepts the older "S/B" form, e.g. "23/3".
+ * Returns { birth, survive } as 9-entry 0/1 tables, or null if invalid.
+ */
+export function parseLifeRule(text) {
+  const t = text.trim();
+  let b, sv;
+  let m = /^B([0-8]*)\s*\/?\s*S([0-8]*)$/i.exec(t);
+  if (m) {
+    [, b, sv] = m;
+  } else {
+    m =
+      /^S([0-8]*)\s*\/?\s*B([0-8]*)$/i.exec(t) ??
+      /^([0-8]*)\/([0-8]*)$/.exec(t);
+    if (!m) return null;
+    [, sv, b] = m;
+  }
+  const birth = new Uint8Array(9);
+  const survive = new Uint8Array(9);
+  for (const c of b) birth[Number(c)] = 1;
+  for (const c of sv) survive[Number(c)] = 1;
+  return { birth, survive };
+}
+
+export function formatLifeRule({ birth, survive }) {
+  const digits = (tbl) => tbl.reduce((acc, v, i) => (v ? acc + i : acc), "");
+  return `B${digits(birth)}/S${digits(survive)}`;
+}
+
+// Row just outside the world (y < 0 or y >= h) for the given boundary mode
+function ghostRow(rows, y, boundary, rand) {
+  const h = rows.length;
+  if (boundary === "periodic") return rows[((y % h) + h) % h];
+  if (boundary === "reflective") return rows[y < 0 ? 0 : h - 1];
+  const row = new Uint8Array(rows[0].length);
+  if (boundary === "fixed1") row.fill(1);
+  if (boundary === "noise") {
+    for (let i = 0; i < row.length; i++) row[i] = rand() < 0.5 ? 1 : 0;
+  }
+  return row;
+}
+
+// One Life-like generation, in place on the h rows of width w
+export function stepLife(rows, life, boundary = "fixed0", rand = Math.random) {
+  const h = rows.length;
+  const w = rows[0].length;
+  const pw = w + 2;
+
+  // Padded copy with one ghost cell on every side
+  const pad = new Uint8Array(pw * (h + 2));
+  for (let y = -1; y <= h; y++) {
+    const src = y < 0 || y >= h ? ghostRow(rows, y, boundary, rand) : rows[y];
+    const o = (y + 1) * pw;
+    pad[o] = boundaryCell(src, -1, boundary, 2, rand) ? 1 : 0;
+    for (let x = 0; x < w; x++) pad[o + 1 + x] = src[x] ? 1 : 0;
+    pad[o + w + 1] = boundaryCell(src, w, boundary, 2, rand) ? 1 : 0;
+  }
+
+  const { birth, survive } = life;
+  for (let y = 0; y < h; y++) {
+    const row = rows[y];
+    const up = y * pw + 1;
+    const mid = up + pw;
+    const down = mid + pw;
+    for (let x = 0; x < w; x++) {
+      const n =
+        pad[up + x - 1] +
+        pad[up + x] +
+        pad[up + x + 1] +
+        pad[mid + x - 1] +
+        pad[mid + x + 1] +
+        pad[down + x - 1] +
+        pad[down + x] +
+        pad[down + x + 1];
+      row[x] = pad[mid + x] ? survive[n] : birth[n];
+    }
+  }
+}
+
+/**
+ * Gravity: shift the whole 2D world one cell toward `edge`.
+ * Periodic boundaries roll the world around, anything else lets cells
+ * fall off and brings in empty space from the opposite side.
+ */
+export function driftWorld(rows, edge, boundary) {
+  const h = rows.length;
+  const wrap = boundary === "periodic";
+  if (edge === "bottom" || edge === "top") {
+    const down = edge === "bottom";
+    const out = down ? rows[h - 1] : rows[0];
+    const shifted = down
+      ? [out, ...rows.slice(0, h - 1)]
+      : [...rows.slice(1), out];
+    if (!wrap) out.fill(0);
+    for (let y = 0; y < h; y++) rows[y] = shifted[y];
+    return;
+  }
+  const toLeft = edge === "left";
+  for (const row of rows) {
+    const w = row.length;
+    if (toLeft) {
+      const first = row[0];
+      row.copyWithin(0, 1);
+      row[w - 1] = wrap ? first : 0;
+    } else {
+      const last = row[w - 1];
+      row.copyWithin(1, 0, w - 1);
+      row[0] = wrap ? last : 0;
+    }
+  }
+}
+
+// --- Bit-packed elementary rows (cell i = bit (i & 31) of word (i >> 5)) ---
+
+export function packRow(row, words = new Uint32Array((row.length + 31) >> 5)) {
+  words.fill(0);
+  for (let i = 0; i < row.length; i++) {
+    if (row[i]) words[i >> 5] |= 1 << (i & 31);
+  }
+  return words;
+}
+
+export function unpackRow(words, n, out = new Uint8Array(n)) {
+  for (let i = 0; i < n; i++) out[i] = (words[i >> 5] >>> (i & 31)) & 1;
+  return out;
+}
+
+function packedBit(words, i) {
+  return (words[i >> 5] >>> (i & 31)) & 1;
+}
+
+// Same semantics as boundaryCell, for i = -1 or i = n of a packed row
+function packedBoundaryBit(words, n, i, boundary, rand) {
+  switch (boundary) {
+    case "periodic":
+      return packedBit(words, (i + n) % n);
+    case "reflective":
+      return packedBit(words, i < 0 ? 0 : n - 1);
+    case "fixed1":
+      return 1;
+    case "noise":
+      return rand() < 0.5 ? 0 : 1; // = floor(rand() * 2), as boundaryCell
+    default:
+      return 0;
+  }
+}
+
+/**
+ * Elementary step on a packed row, 32 cells at a time.
+ * For each word we build the left/center/right neighbor words and OR
+ * together the minterms of every LUT entry that maps to 1.
+ */
+export function stepPacked(
+  words,
+  n,
+  lut,
+  boundary = "fixed0",
+  out = new Uint32Array(words.length),
+  rand = Math.random,
+) {
+  const nw = words.length;
+  const lastBits = n - ((nw - 1) << 5); // cells used in the last word (1..32)
+  const leftGhost = packedBoundaryBit(words, n, -1, boundary, rand);
+  const rightGhost = packedBoundaryBit(words, n, n, boundary, rand);
+
+  for (let w = 0; w < nw; w++) {
+    const c = words[w];
+    const l = (c << 1) | (w === 0 ? leftGhost : words[w - 1] >>> 31);
+    let r = c >>> 1;
+    if (w < nw - 1) r |= (words[w + 1] & 1) << 31;
+    else r |= rightGhost << (lastBits - 1);
+
+    let v = 0;
+    for (let idx = 0; idx < 8; idx++) {
+      if (!lut[idx]) continue;
+      v |= (idx & 4 ? l : ~l) & (idx & 2 ? c : ~c) & (idx & 1 ? r : ~r);
+    }
+    out[w] = v;
+  }
+
+  // keep the unused tail bits of the last word clear
+  if (lastBits < 32) out[nw - 1] &= (1 << lastBits) - 1;
+  return out;
+}
+
+// --- Hybrid automata: rule A and rule B sharing one world ---
+
+export const HYBRID_MODES = [
+  { id: "off", label: "single rule" },
+  { id: "alternate", label: "alternate every N" },
+  { id: "split", label: "left | right split" },
+  { id: "stripes", label: "stripes" },
+  { id: "morph", label: "morph (B with prob. p)" },
+];
+
+export const DEFAULT_HYBRID = {
+  mode: "off",
+  ruleB: 90n,
+  every: 10,
+  stripe: 32,
+};
+
+/**
+ * Which rule each cell uses at generation `gen` (1 = rule B).
+ * hybrid: { mode, every, stripe }; p is the morph probability.
+ */
+export function hybridMask(n, hybrid, gen, p, rand, out = new Uint8Array(n)) {
+  switch (hybrid.mode) {
+    case "alternate":
+      out.fill(Math.floor(gen / hybrid.every) % 2);
+      break;
+    case "split":
+      for (let x = 0; x < n; x++) out[x] = x >= n >> 1 ? 1 : 0;
+      break;
+    case "stripes":
+      for (let x = 0; x < n; x++) out[x] = Math.floor(x / hybrid.stripe) % 2;
+      break;
+    case "morph":
+      for (let x = 0; x < n; x++) out[x] = rand() < p ? 1 : 0;
+      break;
+    default:
+      out.fill(0);
+  }
+  return out;
+}
+
+/**
+ * Run `stepA` and `stepB` on the same row with the same edge noise:
+ * rand draws made by A are replayed for B.
+ */
+export function twinRand(rand) {
+  const draws = [];
+  let i = 0;
+  return {
+    a: () => {
+      const v = rand();
+      draws.push(v);
+      return v;
+    },
+    b: () => (i < draws.length ? draws[i++] : rand()),
+  };
+}
+
+// Unpacked hybrid step; spec.hybrid.lutB is rule B's table
+export function stepHybrid(
+  prev,
+  spec,
+  mask,
+  boundary = "fixed0",
+  rand = Math.random,
+) {
+  const twin = twinRand(rand);
+  const a = stepCA(prev, spec, boundary, twin.a);
+  const b = stepCA(prev, { ...spec, lut: spec.hybrid.lutB }, boundary, twin.b);
+  for (let x = 0; x < a.length; x++) if (mask[x]) a[x] = b[x];
+  return a;
+}
+
+// --- Stochastic automata: noise on top of (or instead of) the rule ---
+
+/**
+ * flip: per-cell chance of a random state change after each step
+ * async: chance that a cell updates at all (1 = synchronous)
+ * probLut: elementary only, chance that each of the 8 neighbourhoods
+ *   gives a 1 (replaces the rule's LUT), or null
+ */
+export const DEFAULT_NOISE = { flip: 0, async: 1, probLut: null };
+
+// What tilt magnitude drives: step speed, the noise level, or both
+export const TILT_TARGETS = [
+  { id: "speed", label: "tilt → speed" },
+  { id: "noise", label: "tilt → noise" },
+  { id: "both", label: "tilt → both" },
+];
+
+export function noiseActive(noise) {
+  return !!noise && (noise.flip > 0 || noise.async < 1 || !!noise.probLut);
+}
+
+// Elementary step where LUT entry idx gives 1 with probability probLut[idx]
+export function stepProbabilistic(
+  prev,
+  probLut,
+  boundary = "fixed0",
+  rand = Math.random,
+) {
+  const n = prev.length;
+  const next = new Uint8Array(n);
+  const leftEdge = boundaryCell(prev, -1, boundary, 2, rand);
+  const rightEdge = boundaryCell(prev, n, boundary, 2, rand);
+  for (let i = 0; i < n; i++) {
+    const left = i === 0 ? leftEdge : prev[i - 1];
+    const right = i === n - 1 ? rightEdge : prev[i + 1];
+    const idx = (left << 2) | (prev[i] << 1) | right;
+    next[i] = rand() < probLut[idx] ? 1 : 0;
+  }
+  return next;
+}
+
+/**
+ * Asynchronous updating and bit-flip noise, applied to `next` in place.
+ * level (0..1) scales both, so tilt can fade the noise in and out.
+ */
+export function applyNoise(
+  prev,
+  next,
+  noise,
+  k,
+  level = 1,
+  rand = Math.random,
+) {
+  const skip = (1 - noise.async) * level;
+  const flip = noise.flip * level;
+  if (skip <= 0 && flip <= 0) return next;
+  for (let i = 0; i < next.length; i++) {
+    if (skip > 0 && rand() < skip) next[i] = prev[i];
+    if (flip > 0 && rand() < flip) {
+      // any other state, uniformly
+      next[i] = (next[i] + 1 + Math.floor(rand() * (k - 1))) % k;
+    }
+  }
+  return next;
+}
+
+// init + `steps` generations, oldest first (thumbnails, headless runs)
+export function runRows(
+  init,
+  spec,
+  steps,
+  boundary = "fixed0",
+  rand = Math.random,
+) {
+  const rows = [init];
+  for (let t = 0; t < steps; t++) {
+    rows.push(stepCA(rows[t], spec, boundary, rand));
+  }
+  return rows;
+}
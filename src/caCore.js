@@ -0,0 +1,185 @@
+import {
+  applyNoise,
+  createRng,
+  hybridMask,
+  noiseActive,
+  packRow,
+  stepCA,
+  stepHybrid,
+  stepPacked,
+  stepProbabilistic,
+  twinRand,
+  unpackRow,
+} from "./ca.js";
+
+/**
+ * 1D stepping state machine shared by the worker and the inline fallback.
+ * Elementary rules run bit-packed; everything else goes through stepCA.
+ * spec.hybrid (optional) mixes in a second rule, see hybridMask; its
+ * `phase` is the generation the init row stands for. spec.noise (optional)
+ * makes it stochastic, see applyNoise; noisy runs always go unpacked.
+ */
+export function createCore() {
+  let n = 0;
+  let spec = null;
+  let boundary = "fixed0";
+  let row = new Uint8Array(0);
+  let words = null;
+  let scratch = null;
+  let rand = Math.random;
+  let hybrid = null;
+  let gen = 0;
+  let mask = null;
+  let maskWords = null;
+  let scratchB = null;
+  let noise = null;
+
+  return {
+    // rngSeed makes edge noise reproducible (omit for Math.random)
+    reset(init, nextSpec, nextBoundary, rngSeed) {
+      n = init.length;
+      spec = nextSpec;
+      boundary = nextBoundary;
+      rand = rngSeed === undefined ? Math.random : createRng(rngSeed);
+      row = init.slice();
+      noise = noiseActive(spec.noise) ? spec.noise : null;
+      const elementary =
+        spec.family === "general" && spec.k === 2 && spec.r === 1 && !noise;
+      words = elementary ? packRow(row) : null;
+      scratch = elementary ? new Uint32Array(words.length) : null;
+
+      hybrid = spec.hybrid && spec.hybrid.mode !== "off" ? spec.hybrid : null;
+      gen = hybrid?.phase ?? 0;
+      mask = hybrid ? new Uint8Array(n) : null;
+      maskWords = hybrid && words ? new Uint32Array(words.length) : null;
+      scratchB = hybrid && words ? new Uint32Array(words.length) : null;
+    },
+
+    // Advance `count` generations, returned back to back in one buffer.
+    // live.morph = chance of rule B per cell in the "morph" hybrid mode,
+    // live.noise = noise level 0..1 (tilt-driven)
+    step(count, { morph = 0, noise: level = 1 } = {}) {
+      const out = new Uint8Array(count * n);
+      for (let s = 0; s < count; s++) {
+        if (hybrid) hybridMask(n, hybrid, gen, morph, rand, mask);
+        if (words && hybrid) {
+          const twin = twinRand(rand);
+          stepPacked(words, n, spec.lut, boundary, scratch, twin.a);
+          stepPacked(words, n, hybrid.lutB, boundary, scratchB, twin.b);
+          packRow(mask, maskWords);
+          for (let w = 0; w < words.length; w++) {
+            const m = maskWords[w];
+            scratch[w] = (scratch[w] & ~m) | (scratchB[w] & m);
+          }
+          [words, scratch] = [scratch, words];
+          unpackRow(words, n, out.subarray(s * n, (s + 1) * n));
+        } else if (words) {
+          stepPacked(words, n, spec.lut, boundary, scratch, rand);
+          [words, scratch] = [scratch, words];
+          unpackRow(words, n, out.subarray(s * n, (s + 1) * n));
+        } else {
+          const prev = row;
+          if (hybrid) row = stepHybrid(row, spec, mask, boundary, rand);
+          else if (noise?.probLut) {
+            row = stepProbabilistic(row, noise.probLut, boundary, rand);
+          } else row = stepCA(row, spec, boundary, rand);
+          if (noise) applyNoise(prev, row, noise, spec.k, level, rand);
+          out.set(row, s * n);
+        }
+        gen += 1;
+      }
+      return out;
+    },
+  };
+}
+
+/**
+ * Main-thread handle on the stepping core. Runs it in a Web Worker when it
+ * can, inline otherwise; either way new rows come back through
+ * onRows(rows, count, extraRows) with `rows` holding `count` rows back to
+ * back. reset() may add extra worlds ([{ init, spec }], same boundary and
+ * rngSeed) stepped in the same batches, e.g. split-screen runs; their rows
+ * come back in extraRows, in order.
+ *
+ * reset() starts a new epoch: rows still in flight from before are dropped.
+ * step() returns false while a previous batch is outstanding (or after stop()).
+ */
+export function createStepper(onRows) {
+  let epoch = 0;
+  let busy = false;
+  let worker = null;
+  let cores = null; // inline: the main world's core, then the extras'
+  let lastReset = null;
+
+  function resetInline(init, spec, boundary, rngSeed, extras) {
+    cores = [{ init, spec }, ...extras].map((world) => {
+      const core = createCore();
+      core.reset(world.init, world.spec, boundary, rngSeed);
+      return core;
+    });
+  }
+
+  function fallBackInline() {
+    worker?.terminate();
+    worker = null;
+    busy = false;
+    cores = [];
+    if (lastReset) resetInline(...lastReset);
+  }
+
+  try {
+    worker = new Worker(new URL("./caWorker.js", import.meta.url), {
+      type: "module",
+    });
+    worker.onmessage = (e) => {
+      busy = false;
+      const { rows, count, extraRows } = e.data;
+      if (e.data.epoch === epoch) onRows(rows, count, extraRows);
+    };
+    worker.onerror = fallBackInline;
+  } catch {
+    fallBackInline();
+  }
+
+  return {
+    reset(init, spec, boundary, rngSeed, extras = []) {
+      epoch += 1;
+      lastReset = [init, spec, boundary, rngSeed, extras];
+      if (worker)
+        worker.postMessage({
+          type: "reset",
+          epoch,
+          init,
+          spec,
+          boundary,
+          rngSeed,
+          extras,
+        });
+      else resetInline(init, spec, boundary, rngSeed, extras);
+    },
+
+    // live: per-batch inputs ({ morph, noise }), see createCore
+    step(count, live = {}) {
+      if (busy || count < 1 || !lastReset) return false;
+      if (worker) {
+        busy = true;
+        worker.postMessage({ type: "step", count, live });
+      } else {
+        const [main, ...extras] = cores.map((core) => core.step(count, live));
+        onRows(main, count, extras);
+      }
+      return true;
+    },
+
+    // Drop anything in flight and refuse to step until the next reset
+    stop() {
+      epoch += 1;
+      lastReset = null;
+    },
+
+    dispose() {
+      worker?.terminate();
+      worker = null;
+    },
+  };
+}
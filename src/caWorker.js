@@ -0,0 +1,26 @@
+import { createCore } from "./caCore.js";
+
+// Off-main-thread stepping; rows go back as transferred buffers
+const core = createCore();
+let extras = [];
+let epoch = 0;
+
+self.onmessage = (e) => {
+  const msg = e.data;
+  if (msg.type === "reset") {
+    epoch = msg.epoch;
+    core.reset(msg.init, msg.spec, msg.boundary, msg.rngSeed);
+    extras = msg.extras.map(({ init, spec }) => {
+      const extra = createCore();
+      extra.reset(init, spec, msg.boundary, msg.rngSeed);
+      return extra;
+    });
+  } else if (msg.type === "step") {
+    const rows = core.step(msg.count, msg.live);
+    const extraRows = extras.map((extra) => extra.step(msg.count, msg.live));
+    self.postMessage({ epoch, count: msg.count, rows, extraRows }, [
+      rows.buffer,
+      ...extraRows.map((r) => r.buffer),
+    ]);
+  }
+};
@@ -0,0 +1,123 @@
+/**
+ * Camera over the oriented view canvas (gw x gh logical pixels).
+ *
+ * zoom 1 covers the screen with the whole world (cropping the overflow
+ * away from the active edge), larger zooms in, below 1 letterboxes.
+ * pan is an offset in view pixels from that default placement; follow
+ * pins the newest generation to the edge it grows from.
+ */
+
+export const MIN_ZOOM = 0.25;
+export const MAX_ZOOM = 32;
+
+export function clampZoom(z) {
+  return Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, z));
+}
+
+export function createCamera() {
+  return { zoom: 1, panX: 0, panY: 0, follow: false, edge: null, layout: null };
+}
+
+// Which side of the view the newest generation sits on (see edgeTransform)
+export function newestSide(edge, flipLR = false) {
+  if (edge === "right") return flipLR ? "right" : "left";
+  if (edge === "left") return flipLR ? "left" : "right";
+  return edge === "top" ? "top" : "bottom";
+}
+
+/**
+ * Work out the visible source rect and where it lands on a cw x ch canvas.
+ * Stores the result in cam.layout (for gestures and the minimap) and folds
+ * clamping back into the pan, so panning past a border doesn't stick.
+ */
+export function cameraView(cam, { gw, gh, cw, ch, edge, newest }) {
+  if (cam.edge !== edge) {
+    // pan is in view pixels, which rotate with the edge
+    cam.panX = 0;
+    cam.panY = 0;
+    cam.edge = edge;
+  }
+
+  const s = Math.max(cw / gw, ch / gh) * cam.zoom;
+  const sw = Math.min(gw, cw / s);
+  const sh = Math.min(gh, ch / s);
+
+  // default: the zoom window centred, then flush with the active edge
+  const winW = gw / cam.zoom;
+  const winH = gh / cam.zoom;
+  const x0 = (gw - winW) / 2;
+  const y0 = (gh - winH) / 2;
+  let baseX = (gw - sw) / 2;
+  let baseY = (gh - sh) / 2;
+  if (edge === "left") baseX = x0;
+  else if (edge === "right") baseX = x0 + winW - sw;
+  else if (edge === "top") baseY = y0;
+  else if (edge === "bottom") baseY = y0 + winH - sh;
+
+  let sx = baseX + cam.panX;
+  let sy = baseY + cam.panY;
+  if (cam.follow) {
+    if (newest === "left") sx = 0;
+    else if (newest === "right") sx = gw - sw;
+    else if (newest === "top") sy = 0;
+    else sy = gh - sh;
+  }
+  sx = Math.min(Math.max(sx, 0), gw - sw);
+  sy = Math.min(Math.max(sy, 0), gh - sh);
+  cam.panX = sx - baseX;
+  cam.panY = sy - baseY;
+
+  const dw = sw * s;
+  const dh = sh * s;
+  const layout = {
+    sx,
+    sy,
+    sw,
+    sh,
+    dx: (cw - dw) / 2,
+    dy: (ch - dh) / 2,
+    dw,
+    dh,
+    s,
+    gw,
+    gh,
+    cw,
+    ch,
+    edge,
+    newest,
+  };
+  cam.layout = layout;
+  return layout;
+}
+
+// Drag by (dx, dy) canvas pixels: the content follows the finger
+export function panBy(cam, dx, dy) {
+  if (!cam.layout) return;
+  cam.panX -= dx / cam.layout.s;
+  cam.panY -= dy / cam.layout.s;
+}
+
+// Zoom by `factor` keeping the world point under canvas pixel (px, py) put
+export function zoomAt(cam, factor, px, py) {
+  const L = cam.layout;
+  const zoom = clampZoom(cam.zoom * factor);
+  if (!L) {
+    cam.zoom = zoom;
+    return;
+  }
+  const wx = L.sx + (px - L.dx) / L.s;
+  const wy = L.sy + (py - L.dy) / L.s;
+  cam.zoom = zoom;
+  const next = cameraView(cam, L);
+  cam.panX += wx - (next.sx + (px - next.dx) / next.s);
+  cam.panY += wy - (next.sy + (py - next.dy) / next.s);
+  cameraView(cam, L);
+}
+
+// Centre the view on world point (wx, wy), e.g. from a minimap tap
+export function centerOn(cam, wx, wy) {
+  const L = cam.layout;
+  if (!L) return;
+  cam.panX += wx - (L.sx + L.sw / 2);
+  cam.panY += wy - (L.sy + L.sh / 2);
+}
@@ -0,0 +1,213 @@
+/**
+ * Comparison runs for the split screen: extra 1D worlds stepped in lockstep
+ * with the main one (same clock, so the same tilt direction and speed),
+ * each with its own rule or seed, plus a difference grid marking the cells
+ * where the main world and the first run disagree. With one cell flipped
+ * in the seed that is damage spreading: how far a single change travels.
+ */
+
+import { createRng, makeRuleLUT, randomRow } from "./ca.js";
+import { TIMELINE_BYTES, createTimeline } from "./timeline.js";
+import { pushRows, rewindGrid, seedGrid } from "./world.js";
+
+export const COMPARE_SEEDS = [
+  { id: "same", label: "same seed" },
+  { id: "flip", label: "centre cell flipped" },
+  { id: "random", label: "own random seed" },
+];
+
+// Split-screen settings: panes 1 (off), 2 or 4; diff turns the last pane
+// into the difference view; runs[i].rule is text ("" = the main rule)
+export const DEFAULT_COMPARE = {
+  panes: 1,
+  diff: false,
+  runs: [
+    { rule: "", seed: "flip" },
+    { rule: "", seed: "random" },
+    { rule: "", seed: "same" },
+  ],
+};
+
+// history kept for all runs together: half the main timeline's budget
+export const COMPARE_BYTES = TIMELINE_BYTES / 2;
+
+/**
+ * What each pane shows, in reading order: "main", a run index, or "diff".
+ * runs = how many runs to step; with 2 panes and the diff on, the one run
+ * the diff needs is stepped without being shown.
+ */
+export function paneLayout({ panes, diff }) {
+  const shown = panes - 1 - (diff ? 1 : 0);
+  return {
+    runs: Math.max(1, shown),
+    panes: [
+      "main",
+      ...Array.from({ length: shown }, (_, i) => i),
+      ...(diff ? ["diff"] : []),
+    ],
+  };
+}
+
+// Screen rectangles for 1, 2 (split along the long side) or 4 (2x2) panes
+export function paneRects(count, width, height) {
+  const halfW = Math.floor(width / 2);
+  const halfH = Math.floor(height / 2);
+  if (count === 4) {
+    return [
+      { x: 0, y: 0, w: halfW, h: halfH },
+      { x: halfW, y: 0, w: width - halfW, h: halfH },
+      { x: 0, y: halfH, w: halfW, h: height - halfH },
+      { x: halfW, y: halfH, w: width - halfW, h: height - halfH },
+    ];
+  }
+  if (count === 2) {
+    return width >= height
+      ? [
+          { x: 0, y: 0, w: halfW, h: height },
+          { x: halfW, y: 0, w: width - halfW, h: height },
+        ]
+      : [
+          { x: 0, y: 0, w: width, h: halfH },
+          { x: 0, y: halfH, w: width, h: height - halfH },
+        ];
+  }
+  return [{ x: 0, y: 0, w: width, h: height }];
+}
+
+// Initial row of a run, derived from the main world's
+export function runInit(init, seed, { k = 2, density = 0.5, rngSeed = 1 }) {
+  if (seed === "random") {
+    return randomRow(init.length, k, density, createRng(rngSeed));
+  }
+  const row = init.slice();
+  if (seed === "flip") {
+    const x = row.length >> 1;
+    row[x] = (row[x] + 1) % k;
+  }
+  return row;
+}
+
+// Row `age` generations before the newest one
+const rowBack = (g, age) =>
+  g.rows[(g.head - age + g.rows.length) % g.rows.length];
+
+// 1 where rows a and b differ, into out
+function diffRow(out, a, b) {
+  for (let x = 0; x < out.length; x++) out[x] = a[x] !== b[x] ? 1 : 0;
+}
+
+/**
+ * Ring grid holding 1 wherever a and b (same size, same generation)
+ * differ, laid out like a so it scrolls with the worlds it compares.
+ */
+export function diffGrid(a, b) {
+  const g = seedGrid(new Uint8Array(a.current.length), a.rows.length, 2);
+  g.head = a.head;
+  g.gen = a.gen;
+  for (let age = 0; age < g.rows.length; age++) {
+    diffRow(rowBack(g, age), rowBack(a, age), rowBack(b, age));
+  }
+  g.current = g.rows[g.head];
+  g.fresh = g.rows.length; // a new grid: paint it all
+  return g;
+}
+
+// Append the newest `count` generations of a vs b to diff (all in step)
+function pushDiff(diff, a, b, count) {
+  const n = a.current.length;
+  const buf = new Uint8Array(count * n);
+  for (let j = 0; j < count; j++) {
+    const age = count - 1 - j;
+    diffRow(buf.subarray(j * n, (j + 1) * n), rowBack(a, age), rowBack(b, age));
+  }
+  pushRows(diff, buf, count);
+}
+
+/**
+ * Runs that follow a main world. runs: [{ rule, seed }], rule a BigInt
+ * (null: the main world's) and seed a COMPARE_SEEDS id.
+ * opts: { spec (the main stepper's), H, init (the main world's
+ *   generation 0), rngSeed, density, runs, timelineBytes }.
+ *
+ * The runs are stepped by the main world's stepper, in the same batches
+ * (see createStepper's extra worlds): reseat(spec) says what to step from
+ * the current generation on, and each batch comes back through
+ * push(count, rows, main). Returns { runs: [{ rule, seed, grid, timeline,
+ * ... }], diff, first, push, seek(main), reseat(spec) }; diff (main vs
+ * runs[0]) follows the main world.
+ *
+ * The runs share timelineBytes of history, so they may remember less than
+ * the main world: `first` is the oldest generation seek can rewind to.
+ * What a seek shows is what was drawn (noise, tilt morphing included).
+ */
+export function createComparison(opts) {
+  const { spec, H, init, rngSeed = 1, density = 0.5 } = opts;
+  const k = spec.k;
+  const perRun = (opts.timelineBytes ?? COMPARE_BYTES) / opts.runs.length;
+
+  const runs = opts.runs.map(({ rule, seed }, i) => {
+    const row = runInit(init, seed, { k, density, rngSeed: rngSeed + 1 + i });
+    const grid = seedGrid(row, H, k);
+    grid.fresh = H; // a new grid: paint it all
+    const timeline = createTimeline(perRun);
+    timeline.reset(row);
+    return { rule, seed, grid, timeline };
+  });
+
+  // the main spec with this run's rule swapped in (the main rule's
+  // per-neighbourhood probabilities don't carry over to another rule)
+  const specFor = (run, base) => {
+    const s =
+      run.rule === null
+        ? base
+        : {
+            ...base,
+            lut: makeRuleLUT(run.rule, base.family, k, base.r),
+            noise: base.noise && { ...base.noise, probLut: null },
+          };
+    // alternation keeps counting from the generation the run is at
+    const phase = run.grid.gen;
+    return s.hybrid && phase ? { ...s, hybrid: { ...s.hybrid, phase } } : s;
+  };
+
+  const comparison = {
+    runs,
+    diff: diffGrid(seedGrid(init, H, k), runs[0].grid),
+
+    get first() {
+      return Math.max(...runs.map((run) => run.timeline.first));
+    },
+
+    // rows[i]: run i's `count` new generations, back to back
+    push(count, rows, main) {
+      runs.forEach((run, i) => {
+        pushRows(run.grid, rows[i], count);
+        run.timeline.push(rows[i], count);
+      });
+      if (count >= H) comparison.diff = diffGrid(main, runs[0].grid);
+      else pushDiff(comparison.diff, main, runs[0].grid, count);
+    },
+
+    // after the main world jumped (a seek, within first..): rewind the runs
+    seek(main) {
+      for (const run of runs) {
+        const tl = run.timeline;
+        rewindGrid(run.grid, (n) => tl.row(n), main.gen);
+        run.grid.fresh = H;
+      }
+      comparison.diff = diffGrid(main, runs[0].grid);
+    },
+
+    // What to step from the current generation on: [{ init, spec }] per
+    // run, for the stepper's reset. New settings (noise) take effect here;
+    // after a seek the runs' future is dropped with the main world's.
+    reseat(base) {
+      return runs.map((run) => {
+        run.timeline.truncate(run.grid.gen);
+        return { init: run.grid.current.slice(), spec: specFor(run, base) };
+      });
+    },
+  };
+
+  return comparison;
+}
@@ -0,0 +1,165 @@
+/**
+ * The arcade's CA engine without the arcade: rules, stepping, the world
+ * model, orientation and drawing, for reuse outside the React component.
+ * Nothing here needs React, and nothing but the canvas helpers needs a
+ * browser; src/headless.js is the Node entry point.
+ *
+ * Rules (ca.js)
+ *   makeRuleLUT(rule, family, k, r)  rule code (BigInt) -> lookup table
+ *   stepECA(prev, lut, boundary)     one elementary (k=2, r=1) generation
+ *   stepCA(prev, spec, boundary)     one generation of any family/k/r
+ *   packRow / stepPacked / unpackRow bit-packed elementary stepping
+ *   BOUNDARY_MODES                   periodic, reflective, fixed0/1, noise
+ *
+ * Stepping (caCore.js)
+ *   createCore()         synchronous stepper: reset(init, spec, ...), step(n)
+ *   createStepper(cb)    the same in a Web Worker, rows delivered to cb
+ *
+ * World (world.js, timeline.js)
+ *   createGrid / seedGrid  ring buffer of the last H generations
+ *   pushRows(g, buf, n)    append a stepper batch
+ *   historyRows(g)         what the ring holds, oldest first
+ *   rewindGrid(g, at, n)   refill the ring from a longer history
+ *   createTimeline()       chunked long history for scrubbing
+ *
+ * Orientation and drawing (render.js, camera.js)
+ *   mapToScreen(edge, t, x, W, H, flipLR)  where cell (t, x) lands
+ *   orientCells(g, edge, flipLR)           the whole ring, oriented, no canvas
+ *   paintRing / composeView / drawFrame    canvas rendering through a camera
+ *   drawMarkers(ctx, g, markers, opts)     labels on cells of the history
+ *   modeColors(mode, paletteRgb, k)        every colour a colour mode paints
+ *   drawFlowFrame, tiltAngle (flow.js)     the same turned to any angle
+ *   startFrameLoop(frame)                  requestAnimationFrame loop
+ *
+ * Comparison (compare.js)
+ *   createComparison(opts)      runs stepped with a main world by its stepper
+ *   diffGrid(a, b)              cells where two runs disagree
+ *
+ * Analysis (particles.js)
+ *   findParticles(rows, opts)   ether, gliders and collisions in a history
+ *   particleSeed(particle, W)   an initial row holding one found particle
+ *
+ * Edges name where generations pile up: "bottom" grows downwards with the
+ * newest row at the bottom, and so on. flipLR swaps the two sideways edges
+ * for sensors that report gamma mirrored (see sensorProfiles.js).
+ */
+
+import { makeRuleLUT } from "./ca.js";
+import { createCore } from "./caCore.js";
+import { orientCells } from "./render.js";
+import { SEED_PRESETS } from "./seeds.js";
+import { pushRows, seedGrid } from "./world.js";
+
+export {
+  BOUNDARY_MODES,
+  DEFAULT_HYBRID,
+  DEFAULT_NOISE,
+  HYBRID_MODES,
+  RULE_FAMILIES,
+  createRng,
+  makeRuleLUT,
+  maxRuleCode,
+  packRow,
+  randomRow,
+  ruleLabel,
+  stepCA,
+  stepECA,
+  stepPacked,
+  unpackRow,
+} from "./ca.js";
+export { createCore, createStepper } from "./caCore.js";
+export {
+  createGrid,
+  historyRows,
+  pushRows,
+  rewindGrid,
+  seedGrid,
+} from "./world.js";
+export { createTimeline } from "./timeline.js";
+export {
+  COLOR_MODES,
+  DEFAULT_PALETTE,
+  PALETTE_PRESETS,
+  composeView,
+  drawFlowFrame,
+  drawFrame,
+  drawMarkers,
+  edgeTransform,
+  hexToRgb,
+  mapToScreen,
+  modeColors,
+  orientCells,
+  paintRing,
+  startFrameLoop,
+  viewSize,
+} from "./render.js";
+export { cameraView, createCamera, newestSide } from "./camera.js";
+export { easeAngle, edgeAngle, flowLayout, tiltAngle } from "./flow.js";
+export { findEther, findParticles, particleSeed } from "./particles.js";
+export { createComparison, diffGrid } from "./compare.js";
+export { SEED_PRESETS, fitRow, parseBitString } from "./seeds.js";
+
+/**
+ * A synchronous 1D world: a core stepping straight into a ring buffer.
+ *
+ * opts: { W = 256, H = 256, rule = 110n, family = "general", k = 2, r = 1,
+ *   boundary = "fixed0", init (defaults to a single centre cell; see
+ *   randomRow for a random one), rngSeed,
+ *   hybrid ({ mode, ruleB, every, stripe }), noise (see DEFAULT_NOISE) }
+ *
+ * Returns { grid, spec, reset(init), step(count, live), cells(edge, flipLR) };
+ * live is the per-batch input of core.step ({ morph, noise }).
+ */
+export function createEngine(opts = {}) {
+  const {
+    W = 256,
+    H = 256,
+    rule = 110n,
+    family = "general",
+    k = 2,
+    r = 1,
+    boundary = "fixed0",
+    rngSeed,
+    hybrid,
+    noise,
+  } = opts;
+
+  const spec = {
+    family,
+    k,
+    r,
+    lut: makeRuleLUT(rule, family, k, r),
+    hybrid:
+      hybrid && hybrid.mode !== "off"
+        ? {
+            ...hybrid,
+            lutB: makeRuleLUT(hybrid.ruleB, family, k, r),
+          }
+        : undefined,
+    noise,
+  };
+  const core = createCore();
+
+  const engine = {
+    grid: null,
+    spec,
+
+    reset(init = SEED_PRESETS[0].make(W)) {
+      if (init.length !== W) throw new Error(`init row must have ${W} cells`);
+      engine.grid = seedGrid(init, H, k);
+      core.reset(init, spec, boundary, rngSeed);
+      return engine;
+    },
+
+    step(count = 1, live) {
+      if (count >= 1) pushRows(engine.grid, core.step(count, live), count);
+      return engine;
+    },
+
+    cells(edge = "bottom", flipLR = false) {
+      return orientCells(engine.grid, edge, flipLR);
+    },
+  };
+
+  return engine.reset(opts.init);
+}
@@ -0,0 +1,244 @@
+import { encodeGif } from "./gif.js";
+
+/**
+ * Saving what's on screen: still images, recordings and raw cell dumps.
+ * `rows` is always the history oldest-first (array of Uint8Array).
+ */
+
+export function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// 1px-per-cell source canvas -> PNG blob, optionally upscaled (nearest neighbor)
+export function canvasToPng(source, scale = 1) {
+  let canvas = source;
+  if (scale > 1) {
+    canvas = document.createElement("canvas");
+    canvas.width = source.width * scale;
+    canvas.height = source.height * scale;
+    const ctx = canvas.getContext("2d");
+    ctx.imageSmoothingEnabled = false;
+    ctx.drawImage(source, 0, 0, canvas.width, canvas.height);
+  }
+  return new Promise((resolve, reject) =>
+    canvas.toBlob(
+      (b) => (b ? resolve(b) : reject(new Error("PNG encode failed"))),
+      "image/png",
+    ),
+  );
+}
+
+// Plain text: "." for 0, "#" for 1, digits for higher states
+export function rowsToText(rows) {
+  const glyph = (v) => (v === 0 ? "." : v === 1 ? "#" : String(v));
+  return rows.map((row) => Array.from(row, glyph).join("")).join("\n") + "\n";
+}
+
+/**
+ * Golly-style RLE ("b"/"o" for two states, "."/"A".."Z" beyond),
+ * 70 columns per line.
+ */
+export function rowsToRle(rows, ruleName, k = 2) {
+  const w = rows[0]?.length ?? 0;
+  const tag = (v) =>
+    k <= 2 ? (v ? "o" : "b") : v ? String.fromCharCode(64 + v) : ".";
+  const runs = [];
+  const push = (count, t) => {
+    if (count > 0) runs.push(count > 1 ? `${count}${t}` : t);
+  };
+
+  let lastY = 0;
+  rows.forEach((row, y) => {
+    // trim trailing zeros; blank rows just fold into the next "$" run
+    let end = row.length;
+    while (end > 0 && row[end - 1] === 0) end--;
+    if (end === 0) return;
+    push(y - lastY, "$");
+    lastY = y;
+    let x = 0;
+    while (x < end) {
+      const v = row[x];
+      let n = 1;
+      while (x + n < end && row[x + n] === v) n++;
+      push(n, tag(v));
+      x += n;
+    }
+  });
+  runs.push("!");
+
+  const lines = [`x = ${w}, y = ${rows.length}, rule = ${ruleName}`];
+  let line = "";
+  for (const r of runs) {
+    if (line.length + r.length > 70) {
+      lines.push(line);
+      line = "";
+    }
+    line += r;
+  }
+  lines.push(line);
+  return lines.join("\n") + "\n";
+}
+
+/**
+ * Compact binary: "CAH1", u32 width, u32 height, u8 states, then each row
+ * bit-packed MSB-first for 2 states, one byte per cell otherwise.
+ */
+export function rowsToBinary(rows, k = 2) {
+  const w = rows[0]?.length ?? 0;
+  const rowBytes = k <= 2 ? Math.ceil(w / 8) : w;
+  const buf = new Uint8Array(13 + rowBytes * rows.length);
+  const view = new DataView(buf.buffer);
+  buf.set([0x43, 0x41, 0x48, 0x31], 0);
+  view.setUint32(4, w, true);
+  view.setUint32(8, rows.length, true);
+  buf[12] = k;
+  rows.forEach((row, y) => {
+    const o = 13 + y * rowBytes;
+    if (k > 2) {
+      buf.set(row, o);
+      return;
+    }
+    for (let x = 0; x < w; x++) {
+      if (row[x]) buf[o + (x >> 3)] |= 0x80 >> (x & 7);
+    }
+  });
+  return buf;
+}
+
+/**
+ * Recorders watch the main canvas from the tick loop:
+ *   onFrame(canvas, gen, now) -> true once `steps` generations have passed,
+ *     or after maxFrames frames (a paused world never gets there)
+ *   finish() -> Promise<Blob>
+ * A reset or seek takes the generation backwards: a GIF starts over from
+ * there, a WebM (which can't drop what it has) ends with an error.
+ */
+
+// ~20 s at 15 fps, ~70 MB of 480x480 frames
+const MAX_FRAMES = 300;
+
+export function createGifRecorder({
+  startGen,
+  steps,
+  colors,
+  maxSize = 480,
+  fps = 15,
+  maxFrames = MAX_FRAMES,
+}) {
+  let frames = [];
+  let last = -Infinity;
+  let lastGen = startGen;
+  let small = null;
+  let w = 0;
+  let h = 0;
+  const nearest = new Map();
+
+  function indexOf(r, g, b) {
+    const key = (r << 16) | (g << 8) | b;
+    let idx = nearest.get(key);
+    if (idx === undefined) {
+      let best = Infinity;
+      colors.forEach(([cr, cg, cb], i) => {
+        const d = (r - cr) ** 2 + (g - cg) ** 2 + (b - cb) ** 2;
+        if (d < best) {
+          best = d;
+          idx = i;
+        }
+      });
+      nearest.set(key, idx);
+    }
+    return idx;
+  }
+
+  return {
+    kind: "gif",
+    onFrame(canvas, gen, now) {
+      if (gen < lastGen) {
+        frames = [];
+        startGen = gen;
+      }
+      lastGen = gen;
+      if (gen - startGen >= steps || frames.length >= maxFrames) return true;
+      if (now - last < 1000 / fps) return false;
+      last = now;
+
+      if (!small) {
+        const s = Math.min(1, maxSize / Math.max(canvas.width, canvas.height));
+        w = Math.max(1, Math.round(canvas.width * s));
+        h = Math.max(1, Math.round(canvas.height * s));
+        small = document.createElement("canvas");
+        small.width = w;
+        small.height = h;
+      }
+      const ctx = small.getContext("2d", { willReadFrequently: true });
+      ctx.imageSmoothingEnabled = false;
+      ctx.drawImage(canvas, 0, 0, w, h);
+      const px = ctx.getImageData(0, 0, w, h).data;
+      const frame = new Uint8Array(w * h);
+      for (let i = 0; i < frame.length; i++) {
+        frame[i] = indexOf(px[i * 4], px[i * 4 + 1], px[i * 4 + 2]);
+      }
+      frames.push(frame);
+      return false;
+    },
+    finish() {
+      if (frames.length === 0) return Promise.reject(new Error("no frames"));
+      const bytes = encodeGif(frames, w, h, colors, 1000 / fps);
+      return Promise.resolve(new Blob([bytes], { type: "image/gif" }));
+    },
+  };
+}
+
+export function createWebmRecorder(
+  canvas,
+  { startGen, steps, fps = 30, maxFrames = MAX_FRAMES },
+) {
+  if (typeof MediaRecorder === "undefined" || !canvas.captureStream) {
+    throw new Error("WebM recording is not supported in this browser");
+  }
+  const mimeType = [
+    "video/webm;codecs=vp9",
+    "video/webm;codecs=vp8",
+    "video/webm",
+  ].find((m) => MediaRecorder.isTypeSupported(m));
+  const chunks = [];
+  const rec = new MediaRecorder(canvas.captureStream(fps), { mimeType });
+  rec.ondataavailable = (e) => {
+    if (e.data.size > 0) chunks.push(e.data);
+  };
+  const stopped = new Promise((resolve) => {
+    rec.onstop = () => resolve(new Blob(chunks, { type: "video/webm" }));
+  });
+  rec.start(250);
+  let started = null;
+  let lastGen = startGen;
+  let cancelled = false;
+
+  return {
+    kind: "webm",
+    onFrame(_canvas, gen, now) {
+      started ??= now;
+      cancelled = gen < lastGen;
+      lastGen = gen;
+      return (
+        cancelled ||
+        gen - startGen >= steps ||
+        now - started >= (maxFrames * 1000) / fps
+      );
+    },
+    finish() {
+      if (rec.state !== "inactive") rec.stop();
+      if (cancelled) {
+        return Promise.reject(
+          new Error("recording cancelled: the world was reset or rewound"),
+        );
+      }
+      return stopped;
+    },
+  };
+}
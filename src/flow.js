@@ -0,0 +1,71 @@
+/**
+ * Continuous flow: instead of snapping to one of four edges, the history
+ * is drawn rotated so the newest generation faces the actual tilt
+ * direction, any of 360°. Angles are canvas rotations of the upright
+ * ("bottom") view: 0 grows downwards, PI/2 leftwards, -PI/2 rightwards.
+ */
+
+import { newestSide } from "./camera.js";
+
+// how fast the drawn angle catches up with the target (1/s)
+const FLOW_EASE = 6;
+
+const SIDE_DIRECTION = {
+  bottom: [0, 1],
+  top: [0, -1],
+  left: [-1, 0],
+  right: [1, 0],
+};
+
+// Rotation that turns "down" into screen direction (dx, dy)
+function directionAngle(dx, dy) {
+  return Math.atan2(-dx, dy);
+}
+
+// Angle matching a discrete edge (the side its newest row sits on)
+export function edgeAngle(edge, flipLR = false) {
+  return directionAngle(...SIDE_DIRECTION[newestSide(edge, flipLR)]);
+}
+
+/**
+ * Angle for a tilt vector (tiltVector's x, y), or null inside the
+ * deadzone. Along the axes it agrees with dominantEdgeFromTilt + edgeAngle.
+ */
+export function tiltAngle(x, y, flipLR, deadzone) {
+  if (Math.abs(x) < deadzone && Math.abs(y) < deadzone) return null;
+  // x > 0 means the "right" edge, whose newest side depends on flipLR;
+  // y > 0 means "top"
+  return directionAngle(flipLR ? x : -x, -y);
+}
+
+// Ease `angle` toward `target` the short way round; returns the new angle
+export function easeAngle(angle, target, dt) {
+  let diff = (target - angle) % (2 * Math.PI);
+  if (diff > Math.PI) diff -= 2 * Math.PI;
+  if (diff < -Math.PI) diff += 2 * Math.PI;
+  return angle + diff * (1 - Math.exp(-dt * FLOW_EASE));
+}
+
+/**
+ * Where the upright gw x gh view lands on a cw x ch canvas at `angle`:
+ * scale s (cover scale blended between upright and sideways, times zoom)
+ * and the centre (cx, cy), pushed so the newest row meets the screen
+ * border in the direction of growth, like the fixed edges do.
+ */
+export function flowLayout({ gw, gh, cw, ch, angle, zoom = 1 }) {
+  const sin = Math.sin(angle);
+  const cos = Math.cos(angle);
+  const upright = Math.max(cw / gw, ch / gh);
+  const sideways = Math.max(cw / gh, ch / gw);
+  const s = zoom * (upright * cos * cos + sideways * sin * sin);
+
+  // growth direction on screen, and how far the border is that way
+  const dx = -sin;
+  const dy = cos;
+  const reach = Math.min(
+    Math.abs(dx) > 1e-6 ? cw / 2 / Math.abs(dx) : Infinity,
+    Math.abs(dy) > 1e-6 ? ch / 2 / Math.abs(dy) : Infinity,
+  );
+  const push = reach - (gh * s) / 2;
+  return { s, cx: cw / 2 + dx * push, cy: ch / 2 + dy * push };
+}
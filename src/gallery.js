@@ -0,0 +1,59 @@
+/**
+ * Elementary rule space helpers for the gallery: symmetry classes and
+ * locally stored favourites.
+ */
+
+// Left-right reflection: the new table reads neighborhoods back to front
+export function mirrorRule(rule) {
+  let out = 0;
+  for (let i = 0; i < 8; i++) {
+    const m = ((i & 1) << 2) | (i & 2) | ((i >> 2) & 1);
+    if ((rule >> i) & 1) out |= 1 << m;
+  }
+  return out;
+}
+
+// 0 <-> 1 swap: new[i] = !old[~i]
+export function complementRule(rule) {
+  let out = 0;
+  for (let i = 0; i < 8; i++) {
+    if (!((rule >> (7 - i)) & 1)) out |= 1 << i;
+  }
+  return out;
+}
+
+// All rules equivalent under reflection/complement, smallest first
+export function equivalentRules(rule) {
+  const m = mirrorRule(rule);
+  return [...new Set([rule, m, complementRule(rule), complementRule(m)])].sort(
+    (a, b) => a - b,
+  );
+}
+
+export const ALL_RULES = Array.from({ length: 256 }, (_, i) => i);
+
+// One representative (the smallest) per class: the classic 88
+export const UNIQUE_RULES = ALL_RULES.filter(
+  (r) => equivalentRules(r)[0] === r,
+);
+
+const FAVOURITES_KEY = "ca-arcade.favourites";
+
+export function loadFavourites() {
+  try {
+    const list = JSON.parse(localStorage.getItem(FAVOURITES_KEY) ?? "[]");
+    return Array.isArray(list)
+      ? list.filter((r) => Number.isInteger(r) && r >= 0 && r < 256)
+      : [];
+  } catch {
+    return [];
+  }
+}
+
+export function saveFavourites(list) {
+  try {
+    localStorage.setItem(FAVOURITES_KEY, JSON.stringify(list));
+  } catch {
+    // storage full or disabled: favourites just won't persist
+  }
+}
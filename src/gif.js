@@ -0,0 +1,102 @@
+/**
+ * Minimal GIF89a encoder: global palette, looping, one LZW-compressed
+ * image per frame. Frames are Uint8Arrays of palette indices (w * h).
+ */
+
+function lzwEncode(indices, minCodeSize, out) {
+  const clearCode = 1 << minCodeSize;
+  const eoiCode = clearCode + 1;
+  let codeSize = minCodeSize + 1;
+  let nextCode = eoiCode + 1;
+  let table = new Map();
+
+  const bytes = [];
+  let cur = 0;
+  let curBits = 0;
+  function emit(code) {
+    cur |= code << curBits;
+    curBits += codeSize;
+    while (curBits >= 8) {
+      bytes.push(cur & 255);
+      cur >>= 8;
+      curBits -= 8;
+    }
+  }
+
+  emit(clearCode);
+  let prefix = indices[0];
+  for (let i = 1; i < indices.length; i++) {
+    const k = indices[i];
+    const key = (prefix << 8) | k;
+    const hit = table.get(key);
+    if (hit !== undefined) {
+      prefix = hit;
+      continue;
+    }
+    emit(prefix);
+    if (nextCode === 4096) {
+      // table full: start over
+      emit(clearCode);
+      table = new Map();
+      codeSize = minCodeSize + 1;
+      nextCode = eoiCode + 1;
+    } else {
+      if (nextCode >= 1 << codeSize) codeSize++;
+      table.set(key, nextCode++);
+    }
+    prefix = k;
+  }
+  emit(prefix);
+  emit(eoiCode);
+  if (curBits > 0) bytes.push(cur & 255);
+
+  // data sub-blocks of at most 255 bytes
+  out.push(minCodeSize);
+  for (let i = 0; i < bytes.length; i += 255) {
+    const chunk = bytes.slice(i, i + 255);
+    out.push(chunk.length, ...chunk);
+  }
+  out.push(0);
+}
+
+/**
+ * @param frames  array of Uint8Array palette indices, width * height each
+ * @param colors  array of [r, g, b] (at most 256)
+ * @param delayMs per-frame delay (GIF resolution is 10ms)
+ * @returns Uint8Array with the .gif file
+ */
+export function encodeGif(frames, width, height, colors, delayMs = 66) {
+  const bits = Math.max(1, Math.ceil(Math.log2(Math.max(2, colors.length))));
+  const out = [];
+  const u16 = (v) => out.push(v & 255, (v >> 8) & 255);
+  const str = (t) => out.push(...Array.from(t, (c) => c.charCodeAt(0)));
+
+  str("GIF89a");
+  u16(width);
+  u16(height);
+  out.push(0x80 | ((bits - 1) << 4) | (bits - 1), 0, 0);
+  for (let i = 0; i < 1 << bits; i++) out.push(...(colors[i] ?? [0, 0, 0]));
+
+  // NETSCAPE2.0: loop forever
+  out.push(0x21, 0xff, 0x0b);
+  str("NETSCAPE2.0");
+  out.push(0x03, 0x01, 0, 0, 0);
+
+  const delay = Math.max(2, Math.round(delayMs / 10));
+  for (const frame of frames) {
+    out.push(0x21, 0xf9, 0x04, 0);
+    u16(delay);
+    out.push(0, 0);
+
+    out.push(0x2c);
+    u16(0);
+    u16(0);
+    u16(width);
+    u16(height);
+    out.push(0);
+    lzwEncode(frame, Math.max(2, bits), out);
+  }
+
+  out.push(0x3b);
+  return Uint8Array.from(out);
+}
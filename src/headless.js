@@ -0,0 +1,69 @@
+/**
+ * Headless entry point: run the engine under Node and get the picture the
+ * arcade would draw as plain cells. Also runnable for a quick look:
+ *
+ *   node src/headless.js --rule 90 --width 64 --height 32 --edge bottom
+ *
+ * prints the result as text ("#" alive, "." dead, digits for k > 2).
+ */
+
+import { pathToFileURL } from "node:url";
+import { parseArgs } from "node:util";
+import { createEngine } from "./engine.js";
+
+export * from "./engine.js";
+
+/**
+ * Fill a whole screen's worth of history (H generations) and orient it.
+ * opts are createEngine's plus edge and flipLR; returns orientCells' result.
+ */
+export function renderCells(opts = {}) {
+  const { edge = "bottom", flipLR = false, live, ...engineOpts } = opts;
+  const engine = createEngine(engineOpts);
+  engine.step(engine.grid.rows.length - 1, live);
+  return engine.cells(edge, flipLR);
+}
+
+export function cellsToText({ width, height, cells }) {
+  const lines = [];
+  for (let y = 0; y < height; y++) {
+    let line = "";
+    for (let x = 0; x < width; x++) {
+      const v = cells[y * width + x];
+      line += v === 0 ? "." : v === 1 ? "#" : String(v);
+    }
+    lines.push(line);
+  }
+  return lines.join("\n");
+}
+
+function main() {
+  const { values } = parseArgs({
+    options: {
+      rule: { type: "string", default: "110" },
+      width: { type: "string", default: "64" },
+      height: { type: "string", default: "32" },
+      boundary: { type: "string", default: "fixed0" },
+      edge: { type: "string", default: "bottom" },
+      flip: { type: "boolean", default: false },
+    },
+  });
+  const text = cellsToText(
+    renderCells({
+      rule: BigInt(values.rule),
+      W: Number(values.width),
+      H: Number(values.height),
+      boundary: values.boundary,
+      edge: values.edge,
+      flipLR: values.flip,
+    }),
+  );
+  process.stdout.write(`${text}\n`);
+}
+
+if (
+  process.argv[1] &&
+  import.meta.url === pathToFileURL(process.argv[1]).href
+) {
+  main();
+}
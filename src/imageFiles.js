@@ -0,0 +1,113 @@
+/**
+ * Image files from plain cell grids ({ width, height, cells }, one state
+ * per cell, as orientCells returns), for the headless renderer. Node only:
+ * PNG compression goes through node:zlib.
+ */
+
+import { deflateSync } from "node:zlib";
+
+// Each cell becomes a scale x scale block
+export function scaleCells({ width, height, cells }, scale = 1) {
+  if (scale === 1) return { width, height, cells };
+  const w = width * scale;
+  const out = new Uint8Array(w * height * scale);
+  for (let y = 0; y < height * scale; y++) {
+    const src = Math.floor(y / scale) * width;
+    for (let x = 0; x < w; x++) {
+      out[y * w + x] = cells[src + Math.floor(x / scale)];
+    }
+  }
+  return { width: w, height: height * scale, cells: out };
+}
+
+/**
+ * Tile images into one sheet, row-major, `columns` across. Tiles may
+ * differ in size: each sits top-left in a slot the size of the largest.
+ * Gaps and spare slots get state `gapState`.
+ */
+export function contactSheet(images, { columns, gap = 4, gapState = 0 } = {}) {
+  const cols = Math.max(1, columns ?? Math.ceil(Math.sqrt(images.length)));
+  const rows = Math.ceil(images.length / cols);
+  const slotW = Math.max(...images.map((im) => im.width));
+  const slotH = Math.max(...images.map((im) => im.height));
+  const width = cols * slotW + (cols + 1) * gap;
+  const height = rows * slotH + (rows + 1) * gap;
+  const cells = new Uint8Array(width * height).fill(gapState);
+
+  images.forEach((im, i) => {
+    const ox = gap + (i % cols) * (slotW + gap);
+    const oy = gap + Math.floor(i / cols) * (slotH + gap);
+    for (let y = 0; y < im.height; y++) {
+      cells.set(
+        im.cells.subarray(y * im.width, (y + 1) * im.width),
+        (oy + y) * width + ox,
+      );
+    }
+  });
+  return { width, height, cells };
+}
+
+// Plain PBM (P4, bit-packed): any live state prints black
+export function encodePbm({ width, height, cells }) {
+  const header = Buffer.from(`P4\n${width} ${height}\n`, "ascii");
+  const stride = (width + 7) >> 3;
+  const body = Buffer.alloc(stride * height);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (cells[y * width + x]) body[y * stride + (x >> 3)] |= 0x80 >> (x & 7);
+    }
+  }
+  return Buffer.concat([header, body]);
+}
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(buf) {
+  let c = 0xffffffff;
+  for (const b of buf) c = CRC_TABLE[(c ^ b) & 255] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+function chunk(type, data) {
+  const len = Buffer.alloc(4);
+  len.writeUInt32BE(data.length);
+  const body = Buffer.concat([Buffer.from(type, "ascii"), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([len, body, crc]);
+}
+
+/**
+ * Palette PNG (colour type 3, 8 bits per pixel): cell state v is drawn in
+ * paletteRgb[v] ([r, g, b] each), states past the palette in paletteRgb[1].
+ */
+export function encodePng({ width, height, cells }, paletteRgb) {
+  const ihdr = Buffer.alloc(13);
+  ihdr.writeUInt32BE(width, 0);
+  ihdr.writeUInt32BE(height, 4);
+  ihdr[8] = 8; // bit depth
+  ihdr[9] = 3; // indexed colour
+
+  const plte = Buffer.from(paletteRgb.flat());
+  const raw = Buffer.alloc((width + 1) * height);
+  for (let y = 0; y < height; y++) {
+    // filter byte 0 (none), then one palette index per pixel
+    const at = y * (width + 1) + 1;
+    for (let x = 0; x < width; x++) {
+      const v = cells[y * width + x];
+      raw[at + x] = v < paletteRgb.length ? v : 1;
+    }
+  }
+
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    chunk("IHDR", ihdr),
+    chunk("PLTE", plte),
+    chunk("IDAT", deflateSync(raw)),
+    chunk("IEND", Buffer.alloc(0)),
+  ]);
+}
@@ -0,0 +1,115 @@
+/**
+ * Kiosk / exhibit mode for unattended tablets: the settings (kept in
+ * localStorage), parsing the attract loop's rule list, and the browser
+ * features such a tablet needs, a screen wake lock and fullscreen. The
+ * component wires up the idle timer, attract loop and HUD lock.
+ */
+
+const KIOSK_KEY = "ca-arcade.kiosk";
+
+// how long a press must be held to ask for the PIN
+export const LONG_PRESS_MS = 1500;
+
+// on: locked HUD, idle reset and attract loop; pin unlocks the HUD;
+// idleSeconds without a touch or tilt starts the attract loop, which shows
+// each of attractRules (elementary, "30,90,100-110") for attractSeconds
+export const DEFAULT_KIOSK = {
+  on: false,
+  pin: "1234",
+  idleSeconds: 90,
+  attractSeconds: 12,
+  attractRules: "30,45,54,73,90,105,110,150,184",
+  wakeLock: true,
+  fullscreen: true,
+};
+
+const inRange = (v, lo, hi) => Number.isFinite(v) && v >= lo && v <= hi;
+
+export function loadKiosk() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(KIOSK_KEY) ?? "{}");
+    const k = { ...DEFAULT_KIOSK, ...saved };
+    return {
+      on: !!k.on,
+      pin: /^\d{1,8}$/.test(k.pin) ? k.pin : DEFAULT_KIOSK.pin,
+      idleSeconds: inRange(k.idleSeconds, 10, 3600)
+        ? k.idleSeconds
+        : DEFAULT_KIOSK.idleSeconds,
+      attractSeconds: inRange(k.attractSeconds, 3, 600)
+        ? k.attractSeconds
+        : DEFAULT_KIOSK.attractSeconds,
+      attractRules:
+        typeof k.attractRules === "string"
+          ? k.attractRules
+          : DEFAULT_KIOSK.attractRules,
+      wakeLock: !!k.wakeLock,
+      fullscreen: !!k.fullscreen,
+    };
+  } catch {
+    return { ...DEFAULT_KIOSK };
+  }
+}
+
+export function saveKiosk(settings) {
+  try {
+    localStorage.setItem(KIOSK_KEY, JSON.stringify(settings));
+  } catch {
+    // storage full or disabled: settings last until the page reloads
+  }
+}
+
+/**
+ * "30,90,100-110" -> sorted elementary rule numbers, skipping anything
+ * that isn't one; the default list if nothing is left.
+ */
+export function parseRuleList(text) {
+  const rules = new Set();
+  for (const part of text.split(",")) {
+    const m = part.trim().match(/^(\d+)(?:-(\d+))?$/);
+    if (!m) continue;
+    const lo = Number(m[1]);
+    const hi = Math.min(Number(m[2] ?? m[1]), 255);
+    for (let r = lo; r <= hi; r++) rules.add(r);
+  }
+  return rules.size > 0
+    ? [...rules].sort((a, b) => a - b)
+    : parseRuleList(DEFAULT_KIOSK.attractRules);
+}
+
+/**
+ * Keep the screen on (Screen Wake Lock API) until the returned function
+ * is called. The browser drops the lock whenever the page is hidden, so
+ * it is asked for again each time the page comes back.
+ */
+export function keepScreenOn() {
+  let lock = null;
+  let stopped = false;
+
+  async function acquire() {
+    if (stopped || document.visibilityState !== "visible") return;
+    if (!navigator.wakeLock || (lock && !lock.released)) return;
+    try {
+      lock = await navigator.wakeLock.request("screen");
+      if (stopped) lock.release();
+    } catch {
+      // denied (battery saver) or unsupported: the screen may dim
+    }
+  }
+
+  document.addEventListener("visibilitychange", acquire);
+  acquire();
+  return () => {
+    stopped = true;
+    document.removeEventListener("visibilitychange", acquire);
+    lock?.release().catch(() => {});
+  };
+}
+
+// Fullscreen, if the browser allows it now (it needs a user gesture)
+export function enterFullscreen() {
+  const el = document.documentElement;
+  if (document.fullscreenElement || !el.requestFullscreen) return;
+  el.requestFullscreen().catch(() => {
+    // refused (no gesture, or an iframe): stay windowed
+  });
+}
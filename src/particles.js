@@ -0,0 +1,313 @@
+/**
+ * Particle search over the 1D history. The background "ether" is taken
+ * to be a spatially periodic tiling (rule 110's is 14 cells wide, a dead
+ * background is 1). A particle usually shifts the ether's phase as it
+ * passes, so rather than one tile per row the ether is learned as the set
+ * of p-periodic windows that keep turning up; cells no such window can
+ * explain are defects. Defects are clustered per row, clusters are
+ * tracked from row to row, and tracks that repeat themselves (p
+ * generations later, d cells over) are particles with speed d/p. Two
+ * tracks running into one cluster make a collision.
+ *
+ * Everything is pure and works on rows oldest first, e.g. historyRows().
+ */
+
+const MAX_ETHER = 32; // widest ether tile searched
+const ETHER_MATCH = 0.7; // share of cells the tiling must explain
+const ETHER_SAMPLES = 24; // rows sampled for the ether search
+const ETHER_COMMON = 0.25; // a window is ether at this share of the commonest
+const MAX_PERIOD = 32; // longest particle period searched
+const MIN_TRACK = 16; // generations a track needs before it counts
+const PERIOD_MATCH = 0.8; // share of samples that must repeat exactly
+const SEED_MARGIN = 2; // ether tiles kept either side of an extracted particle
+
+const mod = (a, m) => ((a % m) + m) % m;
+
+function sampleRows(rows) {
+  const step = Math.max(1, Math.floor(rows.length / ETHER_SAMPLES));
+  return rows.filter((_, i) => i % step === 0);
+}
+
+/**
+ * Background tiling: the smallest period p whose row[x] == row[x + p]
+ * score is (nearly) the best, or null when nothing tiles well enough
+ * (chaotic rules have no ether).
+ */
+export function findEther(rows) {
+  const sample = sampleRows(rows);
+  const n = rows[0]?.length ?? 0;
+  const scores = [];
+  for (let p = 1; p <= MAX_ETHER && p < n / 2; p++) {
+    let same = 0;
+    let total = 0;
+    for (const row of sample) {
+      for (let x = 0; x + p < n; x++) {
+        total++;
+        if (row[x] === row[x + p]) same++;
+      }
+    }
+    scores.push(total ? same / total : 0);
+  }
+  const best = Math.max(0, ...scores);
+  if (best < ETHER_MATCH) return null;
+  const i = scores.findIndex((s) => s >= best - 0.03);
+  return { period: i + 1, score: scores[i] };
+}
+
+// Rolling hash of every len-cell window: out[x] covers row[x .. x+len-1],
+// running on round the seam when the world wraps
+function windowHashes(row, len, wrap) {
+  const n = row.length;
+  const out = new Uint32Array(Math.max(0, wrap ? n : n - len + 1));
+  let top = 1; // 31^(len-1), the weight of the cell leaving the window
+  for (let i = 1; i < len; i++) top = Math.imul(top, 31);
+  let h = 0;
+  for (let x = 0; x < out.length + len - 1; x++) {
+    if (x >= len) h = (h - Math.imul(row[(x - len) % n] + 1, top)) | 0;
+    h = (Math.imul(h, 31) + row[x % n] + 1) | 0;
+    if (x >= len - 1) out[x - len + 1] = h >>> 0;
+  }
+  return out;
+}
+
+// Windows common enough across the sampled rows to be the ether
+function etherWindows(rows, len, wrap) {
+  const counts = new Map();
+  for (const row of sampleRows(rows)) {
+    for (const h of windowHashes(row, len, wrap)) {
+      counts.set(h, (counts.get(h) ?? 0) + 1);
+    }
+  }
+  const most = Math.max(0, ...counts.values());
+  const out = new Set();
+  for (const [h, c] of counts) if (c >= most * ETHER_COMMON) out.add(h);
+  return out;
+}
+
+/**
+ * Defect cells of one row. A run of odd (non-ether) windows starting at
+ * a..b brackets the odd cells: a wide defect spans a+len-1 .. b, a narrow
+ * one (down to a bare phase jump, where every cell still fits one side's
+ * ether) b .. a+len-1.
+ */
+function rowDefects(row, len, ether, wrap) {
+  const n = row.length;
+  const out = new Uint8Array(n);
+  const hashes = windowHashes(row, len, wrap);
+  const m = hashes.length;
+  // start the sweep on an ether window so no run is cut by the seam
+  let from = 0;
+  if (wrap) {
+    from = hashes.findIndex((h) => ether.has(h));
+    if (from < 0) return out.fill(1);
+  }
+  let a = -1;
+  for (let i = 0; i <= m; i++) {
+    const x = from + i;
+    const odd = i < m && !ether.has(hashes[x % m]);
+    if (odd && a < 0) a = x;
+    if (odd || a < 0) continue;
+    const b = x - 1;
+    const c = a + len - 1;
+    for (let y = Math.min(b, c); y <= Math.max(b, c); y++) {
+      if (wrap || y < n) out[y % n] = 1;
+    }
+    a = -1;
+  }
+  return out;
+}
+
+// Runs of defects, merging gaps of up to `gap` background cells; with
+// wrap a run across the seam comes out whole, with x1 past the end
+function clustersOf(defects, gap, wrap) {
+  const n = defects.length;
+  const out = [];
+  let x0 = -1;
+  let x1 = -1;
+  for (let x = 0; x < n; x++) {
+    if (!defects[x]) continue;
+    if (x0 >= 0 && x - x1 > gap) {
+      out.push({ x0, x1 });
+      x0 = -1;
+    }
+    if (x0 < 0) x0 = x;
+    x1 = x;
+  }
+  if (x0 >= 0) out.push({ x0, x1 });
+  if (wrap && out.length > 1) {
+    const first = out[0];
+    const last = out[out.length - 1];
+    if (first.x0 + n - last.x1 <= gap + 1) {
+      out.shift();
+      last.x1 = first.x1 + n;
+    }
+  }
+  return out;
+}
+
+// Least-squares slope of the cluster centres: cells per generation
+function fitSpeed(track) {
+  const pts = track.spans.map((s, i) => [i, (s.x0 + s.x1) / 2]);
+  const m = pts.length;
+  const mt = pts.reduce((a, [t]) => a + t, 0) / m;
+  const mx = pts.reduce((a, [, x]) => a + x, 0) / m;
+  let num = 0;
+  let den = 0;
+  for (const [t, x] of pts) {
+    num += (t - mt) * (x - mx);
+    den += (t - mt) ** 2;
+  }
+  return den ? num / den : 0;
+}
+
+/**
+ * Smallest (p, d) such that the track's defect pattern p generations on
+ * is the same pattern moved d cells, for most of the track.
+ */
+function findCycle(track, defects, wrap) {
+  const { t0, spans } = track;
+  const n = defects[0].length;
+  const slope = fitSpeed(track);
+  const at = (t, x) =>
+    wrap ? defects[t][mod(x, n)] : x >= 0 && x < n ? defects[t][x] : 0;
+
+  for (let p = 1; p <= MAX_PERIOD && 2 * p <= spans.length; p++) {
+    const guess = Math.round(slope * p);
+    for (const d of [guess, guess - 1, guess + 1]) {
+      let tried = 0;
+      let same = 0;
+      for (let i = 0; i + p < spans.length; i++) {
+        const { x0, x1 } = spans[i];
+        const t = t0 + i;
+        let ok = true;
+        for (let x = x0 - 1; x <= x1 + 1 && ok; x++) {
+          ok = at(t, x) === at(t + p, x + d);
+        }
+        tried++;
+        if (ok) same++;
+      }
+      if (tried && same / tried >= PERIOD_MATCH) return { period: p, shift: d };
+    }
+  }
+  return null;
+}
+
+/**
+ * Scan rows (oldest first; rows[0] is generation firstGen) for particles.
+ * opts: { r = 1 (how far a defect can spread per step), firstGen,
+ * wrap (periodic boundary: tracks carry on across the seam) }.
+ * Returns { ether, particles, collisions } with absolute generations:
+ *   ether      { period, score } or null (nothing to subtract)
+ *   particles  { id, firstGen, lastGen, x, width, period, shift, speed,
+ *                alive, sample } — x is the centre at lastGen; alive means
+ *                still there in the newest row; sample feeds particleSeed
+ *   collisions { gen, x, ids } — the tracks (particles or not) that met
+ */
+export function findParticles(
+  rows,
+  { r = 1, firstGen = 0, wrap = false } = {},
+) {
+  const none = { ether: null, particles: [], collisions: [] };
+  if (rows.length < MIN_TRACK) return none;
+  const ether = findEther(rows);
+  if (!ether) return none;
+
+  const n = rows[0].length;
+  const p = ether.period;
+  // a little longer than a tile, so one window can't straddle a phase jump
+  const len = p + 2;
+  const windows = etherWindows(rows, len, wrap);
+  const defects = rows.map((row) => rowDefects(row, len, windows, wrap));
+
+  // follow clusters from row to row; spans stay unwrapped along a track
+  const tracks = [];
+  const collisions = [];
+  let active = [];
+  rows.forEach((_, t) => {
+    const next = [];
+    for (const c of clustersOf(defects[t], Math.max(2, p), wrap)) {
+      const from = [];
+      for (const tr of active) {
+        if (tr.claimed) continue;
+        const s = tr.spans[tr.spans.length - 1];
+        // c moved by whole worlds to sit next to the track's last span
+        const x0 = wrap ? c.x0 + Math.round((s.x0 - c.x0) / n) * n : c.x0;
+        const x1 = x0 + c.x1 - c.x0;
+        if (s.x1 >= x0 - r && s.x0 <= x1 + r) {
+          from.push({ tr, span: { x0, x1 } });
+        }
+      }
+      if (from.length === 1) {
+        const { tr, span } = from[0];
+        tr.spans.push(span);
+        tr.claimed = true;
+        next.push(tr);
+        continue;
+      }
+      if (from.length > 1) {
+        from.forEach(({ tr }) => (tr.claimed = true));
+        collisions.push({
+          gen: firstGen + t,
+          x: mod((c.x0 + c.x1) / 2, n),
+          ids: from.map(({ tr }) => tr.id),
+        });
+      }
+      const track = { id: tracks.length + 1, t0: t, spans: [c] };
+      tracks.push(track);
+      next.push(track);
+    }
+    next.forEach((tr) => (tr.claimed = false));
+    active = next;
+  });
+
+  const last = rows.length - 1;
+  const particles = [];
+  for (const track of tracks) {
+    if (track.spans.length < MIN_TRACK) continue;
+    const cycle = findCycle(track, defects, wrap);
+    if (!cycle) continue;
+
+    const tEnd = track.t0 + track.spans.length - 1;
+    const end = track.spans[track.spans.length - 1];
+    const widths = track.spans
+      .map((s) => s.x1 - s.x0 + 1)
+      .sort((a, b) => a - b);
+    const cells = [];
+    for (let x = end.x0 - SEED_MARGIN * p; x <= end.x1 + SEED_MARGIN * p; x++) {
+      if (wrap || (x >= 0 && x < n)) cells.push(rows[tEnd][mod(x, n)]);
+    }
+    particles.push({
+      id: track.id,
+      firstGen: firstGen + track.t0,
+      lastGen: firstGen + tEnd,
+      x: mod((end.x0 + end.x1) / 2, n),
+      width: widths[widths.length >> 1],
+      period: cycle.period,
+      shift: cycle.shift,
+      speed: cycle.shift / cycle.period,
+      alive: tEnd === last,
+      // a copy: the ring rows get overwritten as the sim runs on
+      sample: { cells: Uint8Array.from(cells), period: p },
+    });
+  }
+  return { ether, particles, collisions };
+}
+
+/**
+ * A W-cell initial row holding just this particle, centred. The sample
+ * has whole ether tiles either side; each side is repeated outwards, so
+ * the ether keeps the phase it had next to the particle on both sides.
+ */
+export function particleSeed(particle, W) {
+  const { cells, period: p } = particle.sample;
+  const n = cells.length;
+  const start = Math.floor((W - n) / 2);
+  const row = new Uint8Array(W);
+  for (let x = 0; x < W; x++) {
+    const i = x - start;
+    if (i < 0) row[x] = cells[mod(i, p)];
+    else if (i >= n) row[x] = cells[n - p + mod(i - n, p)];
+    else row[x] = cells[i];
+  }
+  return row;
+}
@@ -0,0 +1,228 @@
+import {
+  BOUNDARY_MODES,
+  DEFAULT_HYBRID,
+  DEFAULT_NOISE,
+  HYBRID_MODES,
+  MAX_RADIUS,
+  MAX_STATES,
+  RULE_FAMILIES,
+  TILT_TARGETS,
+  maxRuleCode,
+  noiseActive,
+  parseLifeRule,
+} from "./ca.js";
+import { MAX_ZOOM, MIN_ZOOM } from "./camera.js";
+import { COLOR_MODES } from "./render.js";
+
+/**
+ * Session state <-> URL hash ("#rule=110&edges=periodic&...").
+ * Decoding is forgiving: anything missing or invalid is left out so the
+ * caller falls back to its defaults.
+ */
+
+export const WORLD_PRESETS = {
+  low: { W: 520, H: 360 },
+  med: { W: 900, H: 600 }, // good for Honor Pad
+  high: { W: 1400, H: 900 },
+  xl: { W: 4096, H: 2048 }, // needs the worker core
+};
+
+const EDGES = ["left", "right", "top", "bottom"];
+
+function bitsPerCell(k) {
+  return Math.max(1, Math.ceil(Math.log2(k)));
+}
+
+// Cells -> base64url, ceil(log2 k) bits each, LSB first
+export function packCells(row, k = 2) {
+  const bits = bitsPerCell(k);
+  const bytes = new Uint8Array(Math.ceil((row.length * bits) / 8));
+  for (let i = 0; i < row.length; i++) {
+    for (let b = 0; b < bits; b++) {
+      if ((row[i] >> b) & 1) {
+        const bit = i * bits + b;
+        bytes[bit >> 3] |= 1 << (bit & 7);
+      }
+    }
+  }
+  let bin = "";
+  for (const v of bytes) bin += String.fromCharCode(v);
+  return btoa(bin).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+// base64url -> n cells, or null if it doesn't decode to a valid row
+export function unpackCells(text, n, k = 2) {
+  let bin;
+  try {
+    bin = atob(text.replace(/-/g, "+").replace(/_/g, "/"));
+  } catch {
+    return null;
+  }
+  const bits = bitsPerCell(k);
+  if (bin.length !== Math.ceil((n * bits) / 8)) return null;
+  const row = new Uint8Array(n);
+  for (let i = 0; i < n; i++) {
+    let v = 0;
+    for (let b = 0; b < bits; b++) {
+      const bit = i * bits + b;
+      v |= ((bin.charCodeAt(bit >> 3) >> (bit & 7)) & 1) << b;
+    }
+    if (v >= k) return null;
+    row[i] = v;
+  }
+  return row;
+}
+
+export function encodePermalink(s) {
+  const p = new URLSearchParams();
+  p.set("mode", s.simMode);
+  if (s.simMode === "life") {
+    p.set("life", s.lifeRuleText);
+    p.set("gravity", String(s.gravity));
+  } else {
+    p.set("rule", String(s.rule));
+    p.set("family", s.ruleFamily);
+    p.set("k", String(s.states));
+    p.set("r", String(s.radius));
+    if (s.hybrid && s.hybrid.mode !== "off") {
+      p.set("hybrid", s.hybrid.mode);
+      p.set("ruleB", String(s.hybrid.ruleB));
+      if (s.hybrid.mode === "alternate") p.set("every", String(s.hybrid.every));
+      if (s.hybrid.mode === "stripes") p.set("stripe", String(s.hybrid.stripe));
+    }
+    if (s.noise?.flip > 0) p.set("flip", String(s.noise.flip));
+    if (s.noise?.async < 1) p.set("async", String(s.noise.async));
+    if (s.noise?.probLut) p.set("plut", s.noise.probLut.join("_"));
+  }
+  if (s.tiltDrives && s.tiltDrives !== "speed") p.set("tilt", s.tiltDrives);
+  p.set("edges", s.boundary);
+  p.set("seed", s.seedMode);
+  if (s.seedMode === "random") {
+    p.set("rng", String(s.rngSeed));
+    p.set("density", String(s.density));
+  }
+  p.set("world", s.worldPreset);
+  p.set("zoom", String(Math.round(s.zoom * 100) / 100));
+  if (s.manualEdge) p.set("edge", s.manualEdge);
+  if (s.flow) p.set("flow", "1");
+  p.set("palette", s.palette.map((c) => c.slice(1)).join("-"));
+  if (s.colorMode && s.colorMode !== "state") p.set("color", s.colorMode);
+  // hand-edited seed patterns are spelled out cell by cell
+  if (s.init) p.set("init", packCells(s.init, s.states));
+  return p.toString();
+}
+
+export function decodePermalink(hash) {
+  const p = new URLSearchParams(hash.replace(/^#/, ""));
+  const out = {};
+  const int = (key, lo, hi) => {
+    const v = Number(p.get(key));
+    return p.has(key) && Number.isInteger(v) && v >= lo && v <= hi
+      ? v
+      : undefined;
+  };
+  const oneOf = (key, list) =>
+    list.includes(p.get(key)) ? p.get(key) : undefined;
+
+  out.simMode = oneOf("mode", ["1d", "life"]);
+  out.ruleFamily = oneOf(
+    "family",
+    RULE_FAMILIES.map((f) => f.id),
+  );
+  out.states = int("k", 2, MAX_STATES);
+  out.radius = int("r", 1, MAX_RADIUS);
+  if (/^\d+$/.test(p.get("rule") ?? "")) {
+    const max = maxRuleCode(
+      out.ruleFamily ?? "general",
+      out.states ?? 2,
+      out.radius ?? 1,
+    );
+    const rule = BigInt(p.get("rule"));
+    out.rule = rule > max ? max : rule;
+  }
+  const hybridMode = oneOf(
+    "hybrid",
+    HYBRID_MODES.map((m) => m.id),
+  );
+  if (hybridMode && /^\d+$/.test(p.get("ruleB") ?? "")) {
+    const max = maxRuleCode(
+      out.ruleFamily ?? "general",
+      out.states ?? 2,
+      out.radius ?? 1,
+    );
+    const ruleB = BigInt(p.get("ruleB"));
+    out.hybrid = {
+      ...DEFAULT_HYBRID,
+      mode: hybridMode,
+      ruleB: ruleB > max ? max : ruleB,
+      every: int("every", 1, 100000) ?? DEFAULT_HYBRID.every,
+      stripe: int("stripe", 1, 4096) ?? DEFAULT_HYBRID.stripe,
+    };
+  }
+  const unit = (key) => {
+    const v = Number(p.get(key));
+    return p.has(key) && v >= 0 && v <= 1 ? v : undefined;
+  };
+  const probLut = (p.get("plut") ?? "").split("_").map(Number);
+  const noise = {
+    flip: unit("flip") ?? DEFAULT_NOISE.flip,
+    async: unit("async") ?? DEFAULT_NOISE.async,
+    probLut:
+      probLut.length === 8 && probLut.every((v) => v >= 0 && v <= 1)
+        ? probLut
+        : null,
+  };
+  if (noiseActive(noise)) out.noise = noise;
+  out.tiltDrives = oneOf(
+    "tilt",
+    TILT_TARGETS.map((t) => t.id),
+  );
+
+  if (p.has("life") && parseLifeRule(p.get("life")))
+    out.lifeRuleText = p.get("life");
+  const gravity = Number(p.get("gravity"));
+  if (p.has("gravity") && gravity >= 0 && gravity <= 1) out.gravity = gravity;
+
+  out.boundary = oneOf(
+    "edges",
+    BOUNDARY_MODES.map((m) => m.id),
+  );
+  out.seedMode = oneOf("seed", ["single", "random", "pattern"]);
+  out.rngSeed = int("rng", 0, 4294967295);
+  const density = Number(p.get("density"));
+  if (p.has("density") && density > 0 && density <= 1) out.density = density;
+  out.worldPreset = oneOf("world", Object.keys(WORLD_PRESETS));
+  const zoom = Number(p.get("zoom"));
+  if (p.has("zoom") && zoom >= MIN_ZOOM && zoom <= MAX_ZOOM) out.zoom = zoom;
+  if (p.has("edge")) out.manualEdge = oneOf("edge", EDGES) ?? null;
+  out.flow = p.get("flow") === "1";
+
+  const palette = (p.get("palette") ?? "").split("-");
+  if (
+    palette.length === MAX_STATES &&
+    palette.every((c) => /^[0-9a-f]{6}$/i.test(c))
+  ) {
+    out.palette = palette.map((c) => `#${c.toLowerCase()}`);
+  }
+  out.colorMode = oneOf(
+    "color",
+    COLOR_MODES.map((m) => m.id),
+  );
+
+  if (p.has("init")) {
+    const { W } = WORLD_PRESETS[out.worldPreset ?? "med"];
+    out.init = unpackCells(p.get("init"), W, out.states ?? 2) ?? undefined;
+  }
+
+  for (const key of Object.keys(out)) {
+    if (out[key] === undefined) delete out[key];
+  }
+  return out;
+}
+
+// Rule identity: changing it adds a history entry, anything else replaces
+export function permalinkRuleKey(s) {
+  return s.simMode === "life"
+    ? `life:${s.lifeRuleText}`
+    : `1d:${s.ruleFamily}:${s.states}:${s.radius}:${s.rule}`;
+}
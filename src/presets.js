@@ -0,0 +1,108 @@
+/**
+ * Named presets and the last session, kept in localStorage, plus the JSON
+ * file format for sharing a preset library between devices. A preset's
+ * configuration is a permalink string (see permalink.js), so it is
+ * validated the same way as a shared link when it is loaded.
+ */
+
+const PRESETS_KEY = "ca-arcade.presets";
+const SESSION_KEY = "ca-arcade.session";
+const PRESETS_VERSION = 1;
+const MAX_NAME = 40;
+
+/**
+ * Validate a preset from storage or an imported file:
+ * { name, session (permalink, no "#"), hudOpen }.
+ * Returns a clean copy, or null if anything is off.
+ */
+export function normalizePreset(obj) {
+  if (!obj || typeof obj !== "object") return null;
+  const name =
+    typeof obj.name === "string" ? obj.name.trim().slice(0, MAX_NAME) : "";
+  if (!name || typeof obj.session !== "string") return null;
+  return {
+    name,
+    session: obj.session.replace(/^#/, ""),
+    hudOpen: obj.hudOpen !== false,
+  };
+}
+
+export function loadPresets() {
+  try {
+    const list = JSON.parse(localStorage.getItem(PRESETS_KEY) ?? "[]");
+    return Array.isArray(list) ? list.map(normalizePreset).filter(Boolean) : [];
+  } catch {
+    return [];
+  }
+}
+
+export function savePresets(list) {
+  try {
+    localStorage.setItem(PRESETS_KEY, JSON.stringify(list));
+  } catch {
+    // storage full or disabled: presets just won't persist
+  }
+}
+
+// The configuration at the end of the last visit (a preset without a
+// name), or null
+export function loadLastSession() {
+  try {
+    const s = JSON.parse(localStorage.getItem(SESSION_KEY) ?? "null");
+    return normalizePreset({ ...s, name: "last session" });
+  } catch {
+    return null;
+  }
+}
+
+export function saveLastSession({ session, hudOpen }) {
+  try {
+    localStorage.setItem(SESSION_KEY, JSON.stringify({ session, hudOpen }));
+  } catch {
+    // ignore, see savePresets
+  }
+}
+
+// Same name: the newer preset replaces the older one in its place
+export function mergePresets(list, incoming) {
+  const out = list.slice();
+  for (const p of incoming) {
+    const i = out.findIndex((q) => q.name === p.name);
+    if (i >= 0) out[i] = p;
+    else out.push(p);
+  }
+  return out;
+}
+
+export function exportPresets(list) {
+  return JSON.stringify(
+    {
+      version: PRESETS_VERSION,
+      exportedAt: new Date().toISOString(),
+      presets: list,
+    },
+    null,
+    2,
+  );
+}
+
+/**
+ * Parse and validate a preset library file. Throws with a readable
+ * message; presets that don't validate are skipped.
+ */
+export function parsePresets(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error("not JSON");
+  }
+  if (!data || data.version !== PRESETS_VERSION) {
+    throw new Error("unsupported preset file version");
+  }
+  const presets = Array.isArray(data.presets)
+    ? data.presets.map(normalizePreset).filter(Boolean)
+    : [];
+  if (presets.length === 0) throw new Error("file has no presets");
+  return presets;
+}
@@ -0,0 +1,15 @@
+/**
+ * Offline support: register the service worker the build emits (sw.js,
+ * see vite.config.js). Dev builds have none, so nothing is cached while
+ * developing.
+ */
+export function registerServiceWorker() {
+  if (!import.meta.env.PROD || !("serviceWorker" in navigator)) return;
+  window.addEventListener("load", () => {
+    navigator.serviceWorker
+      .register(`${import.meta.env.BASE_URL}sw.js`)
+      .catch(() => {
+        // not over https, or blocked: the app still works online
+      });
+  });
+}
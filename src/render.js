@@ -0,0 +1,468 @@
+/**
+ * Canvas side of the arcade: orientation mapping, the offscreen ring/view
+ * canvases the main canvas is cropped from, and the frame loop. Nothing
+ * touches the DOM at import time, so the pure parts also run under Node.
+ */
+
+import { cameraView, newestSide } from "./camera.js";
+import { flowLayout } from "./flow.js";
+
+// Default color per state (state 0 is the background)
+export const DEFAULT_PALETTE = [
+  "#ffffff",
+  "#000000",
+  "#e4572e",
+  "#2e86ab",
+  "#f3a712",
+  "#4c956c",
+];
+
+// Named palettes: background + one colour per state
+export const PALETTE_PRESETS = {
+  Classic: DEFAULT_PALETTE,
+  Dark: ["#111318", "#e8e8e8", "#ff6b4a", "#4aa8d8", "#f5c542", "#6fcf97"],
+  Ember: ["#1a0b05", "#ffb347", "#ff5e3a", "#c21e56", "#ffe066", "#7a2e0e"],
+  Ocean: ["#f2f7fb", "#0b3c5d", "#328cc1", "#d9b310", "#1d2731", "#6fb3b8"],
+  Paper: ["#f4ecd8", "#3b2f2f", "#a23b2a", "#2f5d62", "#c59b3a", "#5e7d3a"],
+};
+
+export function hexToRgb(hex) {
+  const v = parseInt(hex.slice(1), 16);
+  return [(v >> 16) & 255, (v >> 8) & 255, v & 255];
+}
+
+/**
+ * Map CA coords (t,x) into a logical pixel grid (gw x gh).
+ * This controls the *visual fall direction*.
+ *
+ * You said: label is correct, but CA should move in opposite direction.
+ * So: for LEFT edge, newest time should appear at the LEFTmost side (sx=0).
+ * For RIGHT edge, newest time should appear at the RIGHTmost side (sx=gw-1).
+ *
+ * With t increasing (older->newer), we anchor:
+ * - right: sx = t (newest at gw-1)
+ * - left : sx = (gw-1 - t) (newest at 0)
+ */
+export function mapToScreen(edge, t, x, W, H, flipLR = false) {
+  switch (edge) {
+    case "bottom":
+      return { sx: x, sy: t };
+    case "top":
+      return { sx: x, sy: H - 1 - t };
+
+    case "right":
+      // current behavior (Android/Honor): newest on LEFT
+      // iOS wants the opposite: newest on RIGHT
+      return flipLR ? { sx: t, sy: x } : { sx: H - 1 - t, sy: x };
+
+    case "left":
+      // current behavior (Android/Honor): newest on RIGHT
+      // iOS wants the opposite: newest on LEFT
+      return flipLR ? { sx: H - 1 - t, sy: x } : { sx: t, sy: x };
+
+    default:
+      return { sx: x, sy: t };
+  }
+}
+
+/**
+ * mapToScreen as a canvas transform [a, b, c, d, e, f], applied to the
+ * unrolled history image (x across, t down).
+ */
+export function edgeTransform(edge, H, flipLR = false) {
+  const swap = [0, 1, 1, 0, 0, 0]; // sx = t, sy = x
+  const swapRev = [0, 1, -1, 0, H, 0]; // sx = H-1-t, sy = x
+  switch (edge) {
+    case "top":
+      return [1, 0, 0, -1, 0, H];
+    case "right":
+      return flipLR ? swap : swapRev;
+    case "left":
+      return flipLR ? swapRev : swap;
+    default:
+      return [1, 0, 0, 1, 0, 0];
+  }
+}
+
+// Logical grid size for an edge (sideways edges swap W and H)
+export function viewSize(edge, W, H) {
+  const sideways = edge === "left" || edge === "right";
+  return { gw: sideways ? H : W, gh: sideways ? W : H };
+}
+
+function makeCanvas(w, h) {
+  const canvas = document.createElement("canvas");
+  canvas.width = w;
+  canvas.height = h;
+  const ctx = canvas.getContext("2d");
+  ctx.imageSmoothingEnabled = false;
+  return { canvas, ctx };
+}
+
+/**
+ * Ring canvas: W x H, pixel row y holds ring buffer slot y, so a new
+ * generation only touches one row. Sets off.repaint when (re)allocated.
+ */
+function ensureRing(off, W, H) {
+  if (off.ring && off.ring.canvas.width === W && off.ring.canvas.height === H) {
+    return off.ring;
+  }
+  const ring = makeCanvas(W, H);
+  ring.imageData = ring.ctx.createImageData(W, H);
+  off.ring = ring;
+  off.repaint = true;
+  return ring;
+}
+
+/**
+ * How cells are coloured. Every mode but "state" needs the row before, so
+ * rows are always painted oldest first; the ring then carries the colours
+ * through composeView unchanged, whatever the edge.
+ */
+export const COLOR_MODES = [
+  { id: "state", label: "state" },
+  { id: "age", label: "age (heat map)" },
+  { id: "changed", label: "changed since last step" },
+  { id: "neighborhood", label: "neighbourhood index" },
+];
+
+// black -> purple -> red -> yellow; newborn at the left, 64+ generations right
+const HEAT_STOPS = [
+  [40, 11, 84],
+  [188, 55, 84],
+  [249, 142, 9],
+  [252, 255, 164],
+];
+const MAX_AGE = 64;
+
+// one colour per LUT entry of a k=2, r=1 rule (bigger rules fold mod 8)
+const NEIGHBORHOOD_RGB = [
+  [68, 1, 84],
+  [59, 82, 139],
+  [33, 145, 140],
+  [94, 201, 98],
+  [253, 231, 37],
+  [244, 109, 67],
+  [215, 48, 39],
+  [165, 0, 38],
+];
+
+const DIED_RGB = [228, 87, 46];
+
+function mix(a, b, t) {
+  return [0, 1, 2].map((i) => Math.round(a[i] + (b[i] - a[i]) * t));
+}
+
+// age 1..MAX_AGE on a log scale across HEAT_STOPS
+function heatTable() {
+  const table = [null];
+  for (let age = 1; age <= MAX_AGE; age++) {
+    const t = (Math.log2(age) / Math.log2(MAX_AGE)) * (HEAT_STOPS.length - 1);
+    const i = Math.min(HEAT_STOPS.length - 2, Math.floor(t));
+    table.push(mix(HEAT_STOPS[i], HEAT_STOPS[i + 1], t - i));
+  }
+  return table;
+}
+const HEAT_RGB = heatTable();
+
+// unchanged cells fade toward the background in the diff modes
+function fadedColors(paletteRgb) {
+  const bg = paletteRgb[0];
+  return {
+    dimRgb: paletteRgb.map((c, i) => (i ? mix(c, bg, 0.75) : c)),
+    hoodDimRgb: NEIGHBORHOOD_RGB.map((c) => mix(c, bg, 0.75)),
+  };
+}
+
+/**
+ * Every colour a colour mode paints with k states, e.g. for an indexed
+ * (GIF) palette: the state colours plus the heat ramp, died colour or
+ * neighbourhood table and their faded variants.
+ */
+export function modeColors(mode, paletteRgb, k) {
+  const states = paletteRgb.slice(0, k);
+  const { dimRgb, hoodDimRgb } = fadedColors(paletteRgb);
+  if (mode === "age") return [...states, ...HEAT_RGB.slice(1)];
+  if (mode === "changed") {
+    return [...states, DIED_RGB, ...dimRgb.slice(1, k)];
+  }
+  if (mode === "neighborhood") {
+    return [...states, ...NEIGHBORHOOD_RGB, ...hoodDimRgb];
+  }
+  return states;
+}
+
+function putPixel(data, p, c) {
+  data[p] = c[0];
+  data[p + 1] = c[1];
+  data[p + 2] = c[2];
+  data[p + 3] = 255;
+}
+
+/**
+ * Colour one row into the ring's ImageData. prev is the generation before
+ * (null for the oldest row on screen); age is the running per-column age,
+ * updated in place.
+ */
+function writeRow(data, y, row, prev, age, style) {
+  const { mode, paletteRgb, dimRgb, hoodDimRgb, k, r } = style;
+  const n = row.length;
+  let p = y * n * 4;
+  const state = (v) => paletteRgb[v] ?? paletteRgb[1];
+
+  if (mode === "age") {
+    for (let x = 0; x < n; x++, p += 4) {
+      age[x] = row[x] ? Math.min(age[x] + 1, MAX_AGE) : 0;
+      putPixel(data, p, age[x] ? HEAT_RGB[age[x]] : paletteRgb[0]);
+    }
+  } else if (mode === "changed" && prev) {
+    for (let x = 0; x < n; x++, p += 4) {
+      const v = row[x];
+      if (v !== prev[x]) putPixel(data, p, v ? state(v) : DIED_RGB);
+      else putPixel(data, p, dimRgb[v] ?? dimRgb[1]);
+    }
+  } else if (mode === "neighborhood" && prev) {
+    // same digit order as makeRuleLUT; edges wrap (display only)
+    // cells that came out dead get the faded variant
+    for (let x = 0; x < n; x++, p += 4) {
+      let idx = 0;
+      for (let j = -r; j <= r; j++) idx = idx * k + prev[(x + j + n) % n];
+      putPixel(data, p, (row[x] ? NEIGHBORHOOD_RGB : hoodDimRgb)[idx % 8]);
+    }
+  } else {
+    for (let x = 0; x < n; x++, p += 4) putPixel(data, p, state(row[x]));
+  }
+}
+
+/**
+ * Bring the ring canvas up to date with the grid: only the g.fresh newest
+ * rows, or everything when off.repaint is set (reset, palette, resize).
+ * style: { mode, paletteRgb, r } (k comes from the grid).
+ */
+export function paintRing(off, g, style) {
+  const H = g.rows.length;
+  const W = g.rows[0].length;
+  const ring = ensureRing(off, W, H);
+  const data = ring.imageData.data;
+  const rowStyle = {
+    k: g.k,
+    r: 1,
+    ...style,
+    ...fadedColors(style.paletteRgb),
+  };
+  if (!off.age || off.age.length !== W) off.age = new Uint16Array(W);
+
+  // slot of the generation before slot y, or null for the oldest one
+  const oldest = (g.head + 1) % H;
+  const prevOf = (y) => (y === oldest ? null : g.rows[(y - 1 + H) % H]);
+
+  const fresh = Math.min(g.fresh, H);
+  if (off.repaint || fresh >= H) {
+    off.age.fill(0);
+    for (let i = 0; i < H; i++) {
+      const y = (oldest + i) % H;
+      writeRow(data, y, g.rows[y], prevOf(y), off.age, rowStyle);
+    }
+    ring.ctx.putImageData(ring.imageData, 0, 0);
+    off.repaint = false;
+    g.fresh = 0;
+    return;
+  }
+
+  if (fresh === 0) return;
+  for (let i = fresh - 1; i >= 0; i--) {
+    const y = (g.head - i + H) % H;
+    writeRow(data, y, g.rows[y], prevOf(y), off.age, rowStyle);
+  }
+
+  // fresh rows are contiguous mod H: at most two dirty rects
+  const start = g.head - fresh + 1;
+  if (start >= 0) {
+    ring.ctx.putImageData(ring.imageData, 0, 0, 0, start, W, fresh);
+  } else {
+    ring.ctx.putImageData(ring.imageData, 0, 0, 0, 0, W, g.head + 1);
+    ring.ctx.putImageData(ring.imageData, 0, 0, 0, H + start, W, -start);
+  }
+  g.fresh = 0;
+}
+
+/**
+ * Unroll the ring (oldest slot first) into the view canvas, oriented for
+ * `edge`. Returns { canvas, gw, gh } for the final crop/scale.
+ */
+export function composeView(off, g, edge, flipLR = false) {
+  const H = g.rows.length;
+  const W = g.rows[0].length;
+  const { gw, gh } = viewSize(edge, W, H);
+  if (
+    !off.view ||
+    off.view.canvas.width !== gw ||
+    off.view.canvas.height !== gh
+  ) {
+    off.view = makeCanvas(gw, gh);
+  }
+
+  const { ctx } = off.view;
+  const ring = off.ring.canvas;
+  ctx.setTransform(...edgeTransform(edge, H, flipLR));
+  // slots head+1..H-1 are the oldest rows, 0..head the newest
+  const older = H - 1 - g.head;
+  if (older > 0) ctx.drawImage(ring, 0, g.head + 1, W, older, 0, 0, W, older);
+  ctx.drawImage(ring, 0, 0, W, g.head + 1, 0, older, W, g.head + 1);
+  ctx.setTransform(1, 0, 0, 1, 0, 0);
+
+  return { canvas: off.view.canvas, gw, gh };
+}
+
+// The whole canvas as a viewport
+function fullViewport(ctx) {
+  return { x: 0, y: 0, w: ctx.canvas.width, h: ctx.canvas.height };
+}
+
+/**
+ * One frame onto ctx: new rows into the ring, orient for `edge`, then crop
+ * and scale through the camera over a `background` fill.
+ * opts: { edge, flipLR, cam, style (see paintRing), background, viewport
+ * ({ x, y, w, h } of the canvas to fill, default all of it; the camera's
+ * layout is relative to it) }. Each grid needs its own `off`.
+ */
+export function drawFrame(ctx, off, g, opts) {
+  const { edge, flipLR = false, cam, style, background } = opts;
+  const vp = opts.viewport ?? fullViewport(ctx);
+  paintRing(off, g, style);
+  const view = composeView(off, g, edge, flipLR);
+
+  const L = cameraView(cam, {
+    gw: view.gw,
+    gh: view.gh,
+    cw: vp.w,
+    ch: vp.h,
+    edge,
+    newest: newestSide(edge, flipLR),
+  });
+
+  ctx.save();
+  ctx.beginPath();
+  ctx.rect(vp.x, vp.y, vp.w, vp.h);
+  ctx.clip();
+  ctx.fillStyle = background;
+  ctx.fillRect(vp.x, vp.y, vp.w, vp.h);
+  ctx.imageSmoothingEnabled = false;
+  ctx.drawImage(
+    view.canvas,
+    L.sx,
+    L.sy,
+    L.sw,
+    L.sh,
+    vp.x + L.dx,
+    vp.y + L.dy,
+    L.dw,
+    L.dh,
+  );
+  ctx.restore();
+}
+
+/**
+ * drawFrame for continuous flow (see flow.js): the upright view turned by
+ * `angle` about its layout centre. The camera's zoom applies, pan doesn't.
+ */
+export function drawFlowFrame(ctx, off, g, opts) {
+  const { angle, zoom = 1, style, background } = opts;
+  paintRing(off, g, style);
+  const view = composeView(off, g, "bottom");
+
+  const cw = ctx.canvas.width;
+  const ch = ctx.canvas.height;
+  const { s, cx, cy } = flowLayout({
+    gw: view.gw,
+    gh: view.gh,
+    cw,
+    ch,
+    angle,
+    zoom,
+  });
+
+  ctx.fillStyle = background;
+  ctx.fillRect(0, 0, cw, ch);
+  ctx.imageSmoothingEnabled = false;
+  const cos = Math.cos(angle) * s;
+  const sin = Math.sin(angle) * s;
+  ctx.setTransform(cos, sin, -sin, cos, cx, cy);
+  ctx.drawImage(view.canvas, -view.gw / 2, -view.gh / 2);
+  ctx.setTransform(1, 0, 0, 1, 0, 0);
+}
+
+/**
+ * Labels pinned to cells of the history, drawn over a drawFrame frame.
+ * markers: [{ gen, x, label }] with absolute generations; ones that have
+ * scrolled out of the ring are skipped. layout is the camera's (see
+ * cameraView); without one (continuous flow) nothing is drawn. viewport
+ * as for drawFrame.
+ */
+export function drawMarkers(ctx, g, markers, opts) {
+  const { edge, flipLR = false, layout: L, color, font } = opts;
+  if (!L) return;
+  const vp = opts.viewport ?? fullViewport(ctx);
+  const H = g.rows.length;
+  const W = g.rows[0].length;
+  ctx.save();
+  ctx.beginPath();
+  ctx.rect(vp.x, vp.y, vp.w, vp.h);
+  ctx.clip();
+  ctx.strokeStyle = color;
+  ctx.fillStyle = color;
+  ctx.lineWidth = 2;
+  ctx.font = font;
+  ctx.textBaseline = "middle";
+  for (const m of markers) {
+    const t = H - 1 - (g.gen - m.gen);
+    if (t < 0 || t >= H) continue;
+    const { sx, sy } = mapToScreen(edge, t, Math.floor(m.x), W, H, flipLR);
+    const x = vp.x + L.dx + (sx + 0.5 - L.sx) * L.s;
+    const y = vp.y + L.dy + (sy + 0.5 - L.sy) * L.s;
+    if (x < vp.x || y < vp.y || x > vp.x + vp.w || y > vp.y + vp.h) continue;
+    const radius = Math.max(6, L.s * 2);
+    ctx.beginPath();
+    ctx.arc(x, y, radius, 0, 2 * Math.PI);
+    ctx.stroke();
+    ctx.fillText(m.label, x + radius + 4, y);
+  }
+  ctx.restore();
+}
+
+/**
+ * What composeView draws, as plain cells: the whole ring unrolled oldest
+ * first and placed with mapToScreen. For headless use (no canvas).
+ * Returns { width, height, cells } with cells row-major, one state each.
+ */
+export function orientCells(g, edge, flipLR = false) {
+  const H = g.rows.length;
+  const W = g.rows[0].length;
+  const { gw, gh } = viewSize(edge, W, H);
+  const cells = new Uint8Array(gw * gh);
+  for (let t = 0; t < H; t++) {
+    const row = g.rows[(g.head + 1 + t) % H];
+    for (let x = 0; x < W; x++) {
+      const { sx, sy } = mapToScreen(edge, t, x, W, H, flipLR);
+      cells[sy * gw + sx] = row[x];
+    }
+  }
+  return { width: gw, height: gh, cells };
+}
+
+/**
+ * requestAnimationFrame loop calling frame(dt, now), dt in seconds since
+ * the previous frame. Returns a function that stops it.
+ */
+export function startFrameLoop(frame) {
+  let last = performance.now();
+  let raf = 0;
+  function tick(now) {
+    const dt = (now - last) / 1000;
+    last = now;
+    frame(dt, now);
+    raf = requestAnimationFrame(tick);
+  }
+  raf = requestAnimationFrame(tick);
+  return () => cancelAnimationFrame(raf);
+}
@@ -0,0 +1,83 @@
+/**
+ * Structured initial rows for the seed editor. Patterns are Uint8Arrays
+ * of cell states; everything here is pure so presets can be reused for
+ * links and exports.
+ */
+
+// "0110", ".##.", "0 1 2" -> states, or null when a digit is >= k
+export function parseBitString(text, k = 2) {
+  const cells = [];
+  for (const c of text) {
+    if (c === "." || c === "0") cells.push(0);
+    else if (c === "#") cells.push(1);
+    else if (/[1-9]/.test(c)) cells.push(Number(c));
+    else if (/\s|,/.test(c)) continue;
+    else return null;
+  }
+  if (cells.length === 0 || cells.some((v) => v >= k)) return null;
+  return Uint8Array.from(cells);
+}
+
+export function formatBitString(row) {
+  return Array.from(row, String).join("");
+}
+
+// `bits` centered in an empty row of n cells (cropped if too long)
+export function placeCentered(n, bits) {
+  const row = new Uint8Array(n);
+  const start = Math.floor((n - bits.length) / 2);
+  for (let i = 0; i < bits.length; i++) {
+    const x = start + i;
+    if (x >= 0 && x < n) row[x] = bits[i];
+  }
+  return row;
+}
+
+// `bits` repeated across all n cells
+export function tileRow(n, bits) {
+  const row = new Uint8Array(n);
+  for (let i = 0; i < n; i++) row[i] = bits[i % bits.length];
+  return row;
+}
+
+// Re-fit a pattern to a new world width, keeping it centered
+export function fitRow(row, n) {
+  return row.length === n ? row : placeCentered(n, row);
+}
+
+// Rule 110 ether: the period-14 background its gliders travel through
+const ETHER_110 = parseBitString("00010011011111");
+
+export const SEED_PRESETS = [
+  { id: "single", label: "single seed", make: (n) => placeCentered(n, [1]) },
+  {
+    id: "two",
+    label: "two seeds",
+    make: (n) => {
+      const row = new Uint8Array(n);
+      row[Math.floor(n / 3)] = 1;
+      row[Math.floor((2 * n) / 3)] = 1;
+      return row;
+    },
+  },
+  {
+    id: "block",
+    label: "periodic block",
+    make: (n) => tileRow(n, [1, 1, 1, 1, 0, 0, 0, 0]),
+  },
+  {
+    id: "ether110",
+    label: "ether of rule 110",
+    make: (n) => tileRow(n, ETHER_110),
+  },
+  {
+    id: "ether110glider",
+    label: "rule 110 ether + defect",
+    make: (n) => {
+      const row = tileRow(n, ETHER_110);
+      const mid = Math.floor(n / 2);
+      for (let i = 0; i < 4; i++) row[mid + i] = 0;
+      return row;
+    },
+  },
+];
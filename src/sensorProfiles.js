@@ -0,0 +1,211 @@
+/**
+ * Per-device tilt conventions. A profile turns raw deviceorientation
+ * (beta, gamma) into a tilt vector where x > 0 leans toward the right
+ * edge and y > 0 toward the top edge:
+ *
+ *   (beta - betaOffset, gamma - gammaOffset)  neutral pose removed
+ *   -> axes swapped if swapAxes               some tablets report rotated
+ *   -> times xSign / ySign                    sign conventions
+ *
+ * deadzone / maxAngle (degrees) shape edge picking and tilt speed;
+ * flipLR picks which side the newest rows appear on for left/right edges.
+ */
+
+export const BUILTIN_PROFILES = [
+  {
+    // Honor Pad 9 reports gamma opposite to the spec
+    name: "Honor Pad",
+    builtin: true,
+    xSign: -1,
+    ySign: 1,
+    swapAxes: false,
+    betaOffset: 0,
+    gammaOffset: 0,
+    deadzone: 6,
+    maxAngle: 45,
+    flipLR: false,
+  },
+  {
+    name: "iOS / iPadOS",
+    builtin: true,
+    xSign: -1,
+    ySign: 1,
+    swapAxes: false,
+    betaOffset: 0,
+    gammaOffset: 0,
+    deadzone: 6,
+    maxAngle: 45,
+    flipLR: true,
+  },
+  {
+    name: "Standard (W3C)",
+    builtin: true,
+    xSign: 1,
+    ySign: 1,
+    swapAxes: false,
+    betaOffset: 0,
+    gammaOffset: 0,
+    deadzone: 6,
+    maxAngle: 45,
+    flipLR: false,
+  },
+];
+
+const PROFILES_KEY = "ca-arcade.sensorProfiles";
+const SELECTED_KEY = "ca-arcade.sensorProfile";
+
+// Only used to pick the starting profile; the profile decides from then on
+export function defaultProfileName() {
+  if (typeof navigator === "undefined") return BUILTIN_PROFILES[0].name;
+  const ios =
+    /iPad|iPhone|iPod/.test(navigator.userAgent) ||
+    // iPadOS can masquerade as Mac; this catches it
+    (navigator.platform === "MacIntel" && navigator.maxTouchPoints > 1);
+  return ios ? "iOS / iPadOS" : BUILTIN_PROFILES[0].name;
+}
+
+export function tiltVector(beta, gamma, p) {
+  const b = beta - p.betaOffset;
+  const g = gamma - p.gammaOffset;
+  const [h, v] = p.swapAxes ? [b, g] : [g, b];
+  return { x: h * p.xSign, y: v * p.ySign };
+}
+
+// Inverse of tiltVector: the raw reading this profile would turn into (x, y)
+export function rawFromTilt(x, y, p) {
+  const h = x * p.xSign;
+  const v = y * p.ySign;
+  const [b, g] = p.swapAxes ? [h, v] : [v, h];
+  return { beta: b + p.betaOffset, gamma: g + p.gammaOffset };
+}
+
+export function dominantEdgeFromTilt(beta, gamma, p) {
+  const { x, y } = tiltVector(beta, gamma, p);
+  const ax = Math.abs(x);
+  const ay = Math.abs(y);
+  if (ax < p.deadzone && ay < p.deadzone) return null;
+
+  if (ax >= ay) return x >= 0 ? "right" : "left";
+  return y >= 0 ? "top" : "bottom";
+}
+
+// Tilt magnitude scaled into 0..1, saturating at maxAngle
+export function computeSpeed01(beta, gamma, p) {
+  const { x, y } = tiltVector(beta, gamma, p);
+  const mag = Math.max(Math.abs(x), Math.abs(y));
+  return Math.min(mag, p.maxAngle) / p.maxAngle;
+}
+
+/**
+ * Validate a profile from storage or an imported file.
+ * Returns a clean copy, or null if anything is off.
+ */
+export function normalizeProfile(obj) {
+  if (!obj || typeof obj !== "object") return null;
+  const name = typeof obj.name === "string" ? obj.name.trim().slice(0, 40) : "";
+  const sign = (v) => (v === 1 || v === -1 ? v : null);
+  const num = (v, lo, hi) =>
+    typeof v === "number" && Number.isFinite(v) && v >= lo && v <= hi
+      ? v
+      : null;
+  const p = {
+    name,
+    xSign: sign(obj.xSign),
+    ySign: sign(obj.ySign),
+    swapAxes: obj.swapAxes === true,
+    betaOffset: num(obj.betaOffset, -180, 180),
+    gammaOffset: num(obj.gammaOffset, -90, 90),
+    deadzone: num(obj.deadzone, 0, 45),
+    maxAngle: num(obj.maxAngle, 5, 90),
+    flipLR: obj.flipLR === true,
+  };
+  return name && Object.values(p).every((v) => v !== null) ? p : null;
+}
+
+export function loadProfiles() {
+  try {
+    const list = JSON.parse(localStorage.getItem(PROFILES_KEY) ?? "[]");
+    return Array.isArray(list)
+      ? list.map(normalizeProfile).filter(Boolean)
+      : [];
+  } catch {
+    return [];
+  }
+}
+
+export function saveProfiles(list) {
+  try {
+    localStorage.setItem(PROFILES_KEY, JSON.stringify(list));
+  } catch {
+    // storage full or disabled: profiles just won't persist
+  }
+}
+
+export function loadSelectedProfile() {
+  try {
+    return localStorage.getItem(SELECTED_KEY);
+  } catch {
+    return null;
+  }
+}
+
+export function saveSelectedProfile(name) {
+  try {
+    localStorage.setItem(SELECTED_KEY, name);
+  } catch {
+    // ignore, see saveProfiles
+  }
+}
+
+export function findProfile(custom, name) {
+  return (
+    custom.find((p) => p.name === name) ??
+    BUILTIN_PROFILES.find((p) => p.name === name) ??
+    BUILTIN_PROFILES[0]
+  );
+}
+
+/**
+ * Build a profile from calibration poses, each { beta, gamma, jitter }
+ * averaged while the user held still: flat, then tilted toward each edge.
+ * Throws if the tilts were too small to tell the axes apart.
+ */
+export function profileFromCalibration({ flat, top, bottom, left, right }) {
+  const dv = { b: top.beta - bottom.beta, g: top.gamma - bottom.gamma };
+  const dh = { b: right.beta - left.beta, g: right.gamma - left.gamma };
+  const swapAxes =
+    Math.abs(dv.g) + Math.abs(dh.b) > Math.abs(dv.b) + Math.abs(dh.g);
+
+  const vDelta = swapAxes ? dv.g : dv.b;
+  const hDelta = swapAxes ? dh.b : dh.g;
+  if (Math.abs(vDelta) < 10 || Math.abs(hDelta) < 10) {
+    throw new Error("tilts were too small to read; tilt further and retry");
+  }
+
+  // how far each pose leaned along its own axis
+  const along = (pose, vertical) => {
+    const useBeta = vertical !== swapAxes;
+    return Math.abs(useBeta ? pose.beta - flat.beta : pose.gamma - flat.gamma);
+  };
+  const reach =
+    (along(top, true) +
+      along(bottom, true) +
+      along(left, false) +
+      along(right, false)) /
+    4;
+  const maxAngle = Math.round(Math.min(80, Math.max(10, reach)));
+  const deadzone = Math.min(
+    maxAngle / 3,
+    Math.max(3, Math.round((flat.jitter * 3 + 2) * 2) / 2),
+  );
+
+  return {
+    xSign: hDelta >= 0 ? 1 : -1,
+    ySign: vDelta >= 0 ? 1 : -1,
+    swapAxes,
+    betaOffset: Math.round(flat.beta * 10) / 10,
+    gammaOffset: Math.round(flat.gamma * 10) / 10,
+    deadzone,
+    maxAngle,
+  };
+}
@@ -0,0 +1,107 @@
+import { normalizeProfile } from "./sensorProfiles.js";
+
+/**
+ * Sensor traces: timestamped tilt readings plus the session they drove,
+ * so a tilt session can be replayed on a machine without sensors.
+ *
+ * {
+ *   version: 1,
+ *   recordedAt: ISO date,
+ *   session: permalink hash (rule, seed, boundary, ...),
+ *   profile: sensor profile in effect while recording,
+ *   samples: [[t ms, beta, gamma, speed01], ...]   t from recording start
+ * }
+ */
+
+export const TRACE_VERSION = 1;
+
+const round = (v, digits) => Math.round(v * 10 ** digits) / 10 ** digits;
+
+export function createTraceRecorder({ session, profile }) {
+  const t0 = performance.now();
+  const samples = [];
+  const { builtin: _builtin, ...cleanProfile } = profile;
+
+  return {
+    push(beta, gamma, speed01) {
+      samples.push([
+        Math.round(performance.now() - t0),
+        round(beta, 2),
+        round(gamma, 2),
+        round(speed01, 3),
+      ]);
+    },
+    get count() {
+      return samples.length;
+    },
+    finish() {
+      return {
+        version: TRACE_VERSION,
+        recordedAt: new Date().toISOString(),
+        session,
+        profile: cleanProfile,
+        samples,
+      };
+    },
+  };
+}
+
+/**
+ * Parse and validate a trace file. Throws with a readable message.
+ */
+export function parseTrace(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error("not JSON");
+  }
+  if (!data || data.version !== TRACE_VERSION) {
+    throw new Error("unsupported trace version");
+  }
+  if (!Array.isArray(data.samples) || data.samples.length === 0) {
+    throw new Error("trace has no samples");
+  }
+  let last = -Infinity;
+  for (const s of data.samples) {
+    const ok =
+      Array.isArray(s) &&
+      s.length === 4 &&
+      s.every((v) => typeof v === "number" && Number.isFinite(v)) &&
+      s[0] >= last;
+    if (!ok) throw new Error("malformed sample");
+    last = s[0];
+  }
+  const profile = normalizeProfile(data.profile);
+  if (!profile) throw new Error("trace has no valid sensor profile");
+
+  return {
+    version: data.version,
+    recordedAt: String(data.recordedAt ?? ""),
+    session: typeof data.session === "string" ? data.session : "",
+    profile,
+    samples: data.samples,
+  };
+}
+
+/**
+ * Walk a trace by elapsed time. advance(ms, onSample) calls
+ * onSample(beta, gamma, speed01) for every sample now due and
+ * returns false once the trace is exhausted.
+ */
+export function createTracePlayer(trace) {
+  let i = 0;
+  return {
+    advance(elapsedMs, onSample) {
+      const { samples } = trace;
+      while (i < samples.length && samples[i][0] <= elapsedMs) {
+        const [, beta, gamma, speed01] = samples[i++];
+        onSample(beta, gamma, speed01);
+      }
+      return i < samples.length;
+    },
+    get duration() {
+      return trace.samples[trace.samples.length - 1][0];
+    },
+  };
+}
@@ -0,0 +1,46 @@
+/**
+ * Service worker template: the build (see vite.config.js) prepends
+ * self.__PRECACHE, { cache, files }, and emits the result as sw.js. Every
+ * file of the build is cached on install, so once the app has been opened
+ * it starts and runs with no network at all; a new build gets a new cache
+ * name and replaces the old cache when it activates.
+ */
+
+const { cache: CACHE, files: FILES } = self.__PRECACHE;
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    caches
+      .open(CACHE)
+      .then((cache) => cache.addAll(FILES))
+      .then(() => self.skipWaiting()),
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) =>
+        Promise.all(
+          keys
+            .filter((key) => key.startsWith("ca-arcade-") && key !== CACHE)
+            .map((key) => caches.delete(key)),
+        ),
+      )
+      .then(() => self.clients.claim()),
+  );
+});
+
+// Cache first; pages (with any query string, e.g. a shared link) get the
+// cached app shell
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET") return;
+  if (new URL(request.url).origin !== self.location.origin) return;
+  const lookup =
+    request.mode === "navigate"
+      ? caches.match("./", { ignoreSearch: true })
+      : caches.match(request);
+  event.respondWith(lookup.then((hit) => hit ?? fetch(request)));
+});
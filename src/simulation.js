@@ -0,0 +1,267 @@
+/**
+ * Simulation control for the arcade: the world on screen, its history, the
+ * split-screen runs and the stepping core, and the operations on them.
+ * The component hands over its settings after every render (configure,
+ * see useSimulation.js), and every operation reads them from there, so a
+ * callback captured by a long-lived effect (the frame loop, a listener)
+ * never acts on old ones.
+ *
+ * State sits in { current } boxes shaped like React refs, so the
+ * component and its panels share it the way they would their own refs.
+ */
+
+import { clamp, createRng, maxRuleCode, randomRow } from "./ca.js";
+import { createComparison, paneLayout } from "./compare.js";
+import { SEED_PRESETS, fitRow } from "./seeds.js";
+import { createTimeline } from "./timeline.js";
+import { createGrid, pushRows, rewindGrid, seedGrid } from "./world.js";
+
+// A compare run's rule as typed, or null (blank or invalid: the main rule)
+export function compareRule(text, family, k, r) {
+  if (!/^\d+$/.test(text)) return null;
+  const code = BigInt(text);
+  return code <= maxRuleCode(family, k, r) ? code : null;
+}
+
+/**
+ * settings (configure): { simMode, W, H, states, ruleFamily, radius,
+ * stepSpec, boundary, seedMode, rngSeed, density, seedPattern, compare,
+ * morphBase }. repaint() is called whenever the grid is replaced or
+ * rewound, pause() when a seek or a single step stops the run.
+ */
+export function createSimulation({
+  repaint = () => {},
+  pause = () => {},
+} = {}) {
+  let settings = null;
+
+  // ring buffer on screen (see world.js); 2D: the whole world
+  const gridRef = { current: createGrid(0, 0) };
+  // 1D history beyond the ring; seeked = showing the past, so the next
+  // step branches from there; fastForward = generation a jump is heading for
+  const timelineRef = { current: createTimeline() };
+  const seekedRef = { current: false };
+  const fastForwardRef = { current: null };
+  // split-screen runs (see compare.js), stepping core, live analysis
+  const compareRef = { current: null };
+  const stepperRef = { current: null };
+  const analyzerRef = { current: null };
+  // 2D stepping randomness (edge noise, gravity), reseeded on reset
+  const lifeRandRef = { current: Math.random };
+
+  function configure(next) {
+    settings = next;
+  }
+
+  // The core that steps the 1D world (null: none)
+  function attachStepper(stepper) {
+    stepperRef.current = stepper;
+  }
+
+  // Initial row for the current seed settings (same settings -> same row)
+  function seedRow(mode, k) {
+    const { W, density, rngSeed, seedPattern } = settings;
+    if (mode === "random") {
+      return randomRow(W, k, density, createRng(rngSeed));
+    }
+    if (mode === "pattern" && seedPattern) {
+      return fitRow(seedPattern, W).map((v) => Math.min(v, k - 1));
+    }
+    return SEED_PRESETS[0].make(W);
+  }
+
+  function reset(mode = settings.seedMode) {
+    const { simMode, H, states, stepSpec, boundary, rngSeed } = settings;
+    if (simMode === "life") {
+      resetLifeWorld(mode);
+      return;
+    }
+
+    const init = seedRow(mode, states);
+    gridRef.current = seedGrid(init, H, states);
+    repaint();
+    analyzerRef.current?.reset();
+    timelineRef.current.reset(init);
+    seekedRef.current = false;
+    fastForwardRef.current = null;
+    resetComparison(init);
+    stepperRef.current?.reset(
+      init,
+      stepSpec,
+      boundary,
+      rngSeed,
+      compareRef.current?.reseat(stepSpec),
+    );
+  }
+
+  // Rows from the stepping core (its onRows): into the ring buffer, the
+  // timeline, the analyzer and the split-screen runs
+  function onRows(buf, count, extraRows) {
+    const g = gridRef.current;
+    const n = g.current.length;
+    if (buf.length !== count * n) return; // world was resized meanwhile
+    timelineRef.current.push(buf, count);
+    const analyzer = analyzerRef.current;
+    pushRows(g, buf, count, analyzer && ((row) => analyzer.push(row, g.k)));
+    compareRef.current?.push(count, extraRows, g);
+  }
+
+  // Ask the core for `count` generations (rows arrive in onRows)
+  function requestSteps(count, live) {
+    return stepperRef.current?.step(count, live);
+  }
+
+  // Oldest generation a seek can show (split-screen runs keep less)
+  function historyFirst() {
+    const first = timelineRef.current.first;
+    return Math.max(first, compareRef.current?.first ?? first);
+  }
+
+  // Show generation `gen` from the timeline (paused); the ring is rebuilt
+  // with the H generations ending there
+  function seekTo(gen) {
+    if (settings.simMode === "life") return;
+    const tl = timelineRef.current;
+    const target = clamp(gen, historyFirst(), tl.last);
+    stepperRef.current?.stop();
+    fastForwardRef.current = null;
+    seekedRef.current = true;
+    pause();
+
+    rewindGrid(gridRef.current, (n) => tl.row(n), target);
+    repaint();
+    compareRef.current?.seek(gridRef.current);
+  }
+
+  // One generation either way: through history, or computed at the end
+  function stepGeneration(delta) {
+    const g = gridRef.current;
+    if (delta < 0 || g.gen < timelineRef.current.last) {
+      seekTo(g.gen + delta);
+      return;
+    }
+    pause();
+    resumeFromView();
+    requestSteps(1, { morph: settings.morphBase });
+  }
+
+  // Jump to generation n: from history if we still have it, otherwise
+  // fast-forward (the frame loop skips drawing until it gets there)
+  function jumpTo(n) {
+    if (settings.simMode === "life") return;
+    const tl = timelineRef.current;
+    if (n <= tl.last) {
+      seekTo(n);
+      return;
+    }
+    if (gridRef.current.gen < tl.last) seekTo(tl.last);
+    fastForwardRef.current = n;
+  }
+
+  // After a seek, drop the future and restart the core from the row on screen
+  function resumeFromView() {
+    if (!seekedRef.current) return;
+    seekedRef.current = false;
+    timelineRef.current.truncate(gridRef.current.gen);
+    analyzerRef.current?.reset();
+    reseatStepper();
+  }
+
+  // Restart the core from the row on screen with the current rule and
+  // noise, keeping the history (while a seek shows the past, the branch
+  // does it: resumeFromView)
+  function reseatStepper() {
+    const { simMode, stepSpec, boundary, rngSeed } = settings;
+    const g = gridRef.current;
+    if (simMode === "life" || seekedRef.current || !g.current) return;
+    // alternation keeps counting from the generation we branch at
+    const spec = stepSpec.hybrid
+      ? { ...stepSpec, hybrid: { ...stepSpec.hybrid, phase: g.gen } }
+      : stepSpec;
+    stepperRef.current?.reset(
+      g.current.slice(),
+      spec,
+      boundary,
+      rngSeed,
+      compareRef.current?.reseat(stepSpec),
+    );
+  }
+
+  // Fresh split-screen runs from the same generation 0 as the main world
+  function resetComparison(init) {
+    const { compare, stepSpec, H, rngSeed, density } = settings;
+    if (compare.panes < 2) {
+      compareRef.current = null;
+      return;
+    }
+    const { ruleFamily, states, radius } = settings;
+    const { runs } = paneLayout(compare);
+    compareRef.current = createComparison({
+      spec: stepSpec,
+      H,
+      init,
+      rngSeed,
+      density,
+      runs: compare.runs.slice(0, runs).map((run) => ({
+        rule: compareRule(run.rule, ruleFamily, states, radius),
+        seed: run.seed,
+      })),
+    });
+  }
+
+  // 2D world: all H rows are live state, head pinned to the last row so the
+  // ring buffer renderer shows them in order
+  function resetLifeWorld(mode) {
+    const { W, H, density, rngSeed } = settings;
+    const rows = Array.from({ length: H }, () => new Uint8Array(W));
+    if (mode === "single") {
+      // R-pentomino (a lone cell would just die)
+      const cx = Math.floor(W / 2);
+      const cy = Math.floor(H / 2);
+      rows[cy - 1][cx] = rows[cy - 1][cx + 1] = 1;
+      rows[cy][cx - 1] = rows[cy][cx] = 1;
+      rows[cy + 1][cx] = 1;
+    } else if (mode === "pattern") {
+      // the 1D pattern as a line across the middle
+      rows[Math.floor(H / 2)].set(seedRow(mode, 2));
+    } else {
+      const rand = createRng(rngSeed);
+      for (let y = 0; y < H; y++) rows[y] = randomRow(W, 2, density, rand);
+    }
+    gridRef.current = {
+      rows,
+      head: H - 1,
+      current: rows[H - 1],
+      fresh: 0,
+      gen: 0,
+      k: 2,
+    };
+    repaint();
+    analyzerRef.current?.reset();
+    lifeRandRef.current = createRng(rngSeed ^ 0x9e3779b9);
+    // 2D stepping is local: make sure no 1D rows land in this world
+    stepperRef.current?.stop();
+  }
+
+  return {
+    gridRef,
+    timelineRef,
+    seekedRef,
+    fastForwardRef,
+    compareRef,
+    stepperRef,
+    analyzerRef,
+    lifeRandRef,
+    configure,
+    attachStepper,
+    reset,
+    onRows,
+    requestSteps,
+    historyFirst,
+    seekTo,
+    stepGeneration,
+    jumpTo,
+    resumeFromView,
+    reseatStepper,
+  };
+}
@@ -0,0 +1,155 @@
+/**
+ * Sonification: the newest generation becomes sound, one beat at a time.
+ * Tempo follows tilt speed; what a beat sounds like depends on the mapping.
+ * The AudioContext must be created from a user gesture (browser policy).
+ */
+
+import { rowDensity } from "./analysis.js";
+
+export const SONIFY_MAPPINGS = [
+  { id: "scale", label: "notes across width" },
+  { id: "density", label: "density drone" },
+  { id: "center", label: "centre-cell rhythm" },
+];
+
+// major pentatonic over three octaves from A2: never sounds wrong
+const PENTATONIC = [0, 2, 4, 7, 9];
+const SCALE_HZ = Array.from({ length: 15 }, (_, i) => {
+  const semis = 12 * Math.floor(i / 5) + PENTATONIC[i % 5];
+  return 110 * 2 ** (semis / 12);
+});
+const MAX_VOICES = 5;
+const MASTER_GAIN = 0.5;
+
+export function createSonifier() {
+  const Ctx = window.AudioContext || window.webkitAudioContext;
+  const ctx = new Ctx();
+  const master = ctx.createGain();
+  const comp = ctx.createDynamicsCompressor();
+  master.gain.value = MASTER_GAIN;
+  master.connect(comp).connect(ctx.destination);
+
+  let mapping = "scale";
+  let muted = false;
+  let nextBeat = 0;
+  let drone = null;
+
+  // one white-noise second, reused for every click
+  const noise = ctx.createBuffer(1, ctx.sampleRate, ctx.sampleRate);
+  const data = noise.getChannelData(0);
+  for (let i = 0; i < data.length; i++) data[i] = Math.random() * 2 - 1;
+
+  function pluck(freq, vol, when) {
+    const osc = ctx.createOscillator();
+    const env = ctx.createGain();
+    osc.type = "triangle";
+    osc.frequency.value = freq;
+    env.gain.setValueAtTime(0, when);
+    env.gain.linearRampToValueAtTime(vol, when + 0.005);
+    env.gain.exponentialRampToValueAtTime(0.0001, when + 0.3);
+    osc.connect(env).connect(master);
+    osc.start(when);
+    osc.stop(when + 0.32);
+  }
+
+  function click(freq, vol, when) {
+    const src = ctx.createBufferSource();
+    const band = ctx.createBiquadFilter();
+    const env = ctx.createGain();
+    src.buffer = noise;
+    band.type = "bandpass";
+    band.frequency.value = freq;
+    band.Q.value = 8;
+    env.gain.setValueAtTime(vol, when);
+    env.gain.exponentialRampToValueAtTime(0.0001, when + 0.08);
+    src.connect(band).connect(env).connect(master);
+    src.start(when, Math.random() * 0.9, 0.1);
+  }
+
+  function startDrone() {
+    const osc = ctx.createOscillator();
+    const gain = ctx.createGain();
+    osc.type = "sine";
+    gain.gain.value = 0;
+    osc.connect(gain).connect(master);
+    osc.start();
+    drone = { osc, gain };
+  }
+
+  function stopDrone() {
+    if (!drone) return;
+    drone.gain.gain.setTargetAtTime(0, ctx.currentTime, 0.05);
+    drone.osc.stop(ctx.currentTime + 0.3);
+    drone = null;
+  }
+
+  // Scale: the row is cut into one bin per note, busiest bins sound
+  function beatScale(row, when) {
+    const bins = SCALE_HZ.length;
+    const fill = new Array(bins).fill(0);
+    for (let x = 0; x < row.length; x++) {
+      if (row[x]) fill[Math.floor((x * bins) / row.length)]++;
+    }
+    const per = row.length / bins;
+    const vol = 0.08 + 0.25 * Math.min(1, rowDensity(row) * 2);
+    fill
+      .map((c, i) => ({ i, f: c / per }))
+      .filter((b) => b.f > 0.15)
+      .sort((a, b) => b.f - a.f)
+      .slice(0, MAX_VOICES)
+      .forEach((b) => pluck(SCALE_HZ[b.i], vol / MAX_VOICES ** 0.5, when));
+  }
+
+  // Centre: a click whenever the middle cell is alive, pitched by its
+  // neighbourhood (the LUT index it will read next step)
+  function beatCenter(row, when) {
+    const c = row.length >> 1;
+    if (!row[c]) return;
+    const idx = (row[c - 1] ? 4 : 0) | 2 | (row[c + 1] ? 1 : 0);
+    click(300 * 2 ** (idx / 3), 0.6, when);
+  }
+
+  return {
+    setMapping(id) {
+      mapping = id;
+      if (id === "density" && !drone) startDrone();
+      if (id !== "density") stopDrone();
+    },
+
+    setMuted(value) {
+      muted = value;
+      master.gain.setTargetAtTime(
+        muted ? 0 : MASTER_GAIN,
+        ctx.currentTime,
+        0.02,
+      );
+    },
+
+    /**
+     * Called every frame with the newest row; plays a beat when one is due.
+     * speed01 (tilt) sets the tempo: 3 beats/s flat, 16 at full tilt.
+     */
+    update(row, speed01) {
+      if (muted || !row || row.length === 0) return;
+      if (ctx.state === "suspended") ctx.resume();
+      const now = ctx.currentTime;
+
+      if (mapping === "density") {
+        const d = rowDensity(row);
+        drone?.osc.frequency.setTargetAtTime(110 * 2 ** (d * 3), now, 0.1);
+        drone?.gain.gain.setTargetAtTime(0.05 + 0.2 * speed01, now, 0.1);
+        return;
+      }
+
+      if (now < nextBeat) return;
+      nextBeat = now + 1 / (3 + 13 * speed01);
+      if (mapping === "center") beatCenter(row, now);
+      else beatScale(row, now);
+    },
+
+    dispose() {
+      stopDrone();
+      ctx.close();
+    },
+  };
+}
@@ -0,0 +1,75 @@
+/**
+ * Long 1D history, well past the on-screen ring buffer. Rows are packed
+ * into fixed-size chunks; once the byte budget is spent the oldest chunk
+ * is dropped, so `first` creeps forward while `last` keeps growing.
+ */
+
+export const TIMELINE_BYTES = 64 * 2 ** 20;
+const CHUNK_BYTES = 2 ** 20;
+
+export function createTimeline(budgetBytes = TIMELINE_BYTES) {
+  let n = 0; // cells per row
+  let chunkRows = 1;
+  let maxChunks = 1;
+  let chunks = []; // Uint8Array(chunkRows * n) each
+  let first = 0; // generation of chunks[0] row 0
+  let count = 0; // rows stored, starting at `first`
+
+  function locate(gen) {
+    const i = gen - first;
+    const chunk = chunks[Math.floor(i / chunkRows)];
+    const at = (i % chunkRows) * n;
+    return chunk.subarray(at, at + n);
+  }
+
+  return {
+    reset(init) {
+      n = init.length;
+      chunkRows = Math.max(1, Math.floor(CHUNK_BYTES / n));
+      maxChunks = Math.max(2, Math.floor(budgetBytes / (chunkRows * n)));
+      chunks = [];
+      first = 0;
+      count = 0;
+      this.push(init, 1);
+    },
+
+    // Append `rows` rows packed back to back (a stepper batch)
+    push(buf, rows) {
+      for (let s = 0; s < rows; s++) {
+        if (count % chunkRows === 0 && count / chunkRows === chunks.length) {
+          chunks.push(new Uint8Array(chunkRows * n));
+        }
+        const at = (count % chunkRows) * n;
+        chunks[chunks.length - 1].set(buf.subarray(s * n, (s + 1) * n), at);
+        count += 1;
+        if (chunks.length > maxChunks) {
+          chunks.shift();
+          first += chunkRows;
+          count -= chunkRows;
+        }
+      }
+    },
+
+    get first() {
+      return first;
+    },
+    get last() {
+      return first + count - 1;
+    },
+    has(gen) {
+      return gen >= first && gen < first + count;
+    },
+
+    // Row of generation `gen` (a view into the store: copy before keeping)
+    row(gen) {
+      return this.has(gen) ? locate(gen) : null;
+    },
+
+    // Forget everything after `gen`, e.g. to branch off from the past
+    truncate(gen) {
+      if (gen >= this.last) return;
+      count = Math.max(1, gen - first + 1);
+      chunks.length = Math.ceil(count / chunkRows);
+    },
+  };
+}
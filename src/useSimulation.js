@@ -0,0 +1,29 @@
+import { useEffect, useLayoutEffect, useState } from "react";
+import { createStepper } from "./caCore.js";
+import { createSimulation } from "./simulation.js";
+
+/**
+ * The simulation (see simulation.js) for the arcade component: one per
+ * mount, with its stepping core (Web Worker when available) for as long as
+ * the component lives. settings are handed over after every render, before
+ * the component's effects run, and the returned callbacks never change, so
+ * effects and listeners can hold on to them. options: { repaint, pause }.
+ */
+export function useSimulation(settings, options) {
+  const [sim] = useState(() => createSimulation(options));
+
+  useLayoutEffect(() => {
+    sim.configure(settings);
+  });
+
+  useEffect(() => {
+    const stepper = createStepper(sim.onRows);
+    sim.attachStepper(stepper);
+    return () => {
+      sim.attachStepper(null);
+      stepper.dispose();
+    };
+  }, [sim]);
+
+  return sim;
+}
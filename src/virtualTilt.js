@@ -0,0 +1,111 @@
+import { clamp } from "./ca.js";
+
+/**
+ * Tilt for machines without sensors. Keys (arrows / WASD), the first
+ * gamepad's left stick and a mouse drag each give a tilt vector in the
+ * profile's frame (x toward the right edge, y toward the top, degrees);
+ * the caller turns it back into beta/gamma with rawFromTilt so it goes
+ * through the same edge/speed path as real readings.
+ */
+
+const KEY_DIRS = {
+  ArrowUp: [0, 1],
+  KeyW: [0, 1],
+  ArrowDown: [0, -1],
+  KeyS: [0, -1],
+  ArrowLeft: [-1, 0],
+  KeyA: [-1, 0],
+  ArrowRight: [1, 0],
+  KeyD: [1, 0],
+};
+
+const KEY_RATE = 2.5; // fraction of full tilt per second while held
+const STICK_DEADZONE = 0.15;
+
+export function isTiltKey(code) {
+  return code in KEY_DIRS;
+}
+
+export function createVirtualTilt() {
+  const held = new Set();
+  let kx = 0;
+  let ky = 0;
+  let drag = null; // { x0, y0, x, y, span }
+
+  function stick() {
+    const pads =
+      typeof navigator !== "undefined" && navigator.getGamepads
+        ? navigator.getGamepads()
+        : [];
+    const pad = Array.from(pads).find((p) => p && p.connected);
+    if (!pad || pad.axes.length < 2) return null;
+    const [ax, ay] = pad.axes;
+    if (Math.hypot(ax, ay) < STICK_DEADZONE) return null;
+    return [ax, -ay]; // stick up is negative
+  }
+
+  return {
+    keyDown(code) {
+      if (!isTiltKey(code)) return false;
+      held.add(code);
+      return true;
+    },
+    keyUp(code) {
+      held.delete(code);
+    },
+    dragStart(x, y, span) {
+      drag = { x0: x, y0: y, x, y, span: Math.max(1, span) };
+    },
+    dragMove(x, y) {
+      if (drag) Object.assign(drag, { x, y });
+    },
+    dragEnd() {
+      drag = null;
+    },
+
+    /**
+     * Advance by dt seconds. Returns { x, y, active } in degrees, where
+     * maxAngle is full tilt; active is false when no source is in use.
+     */
+    update(dt, maxAngle) {
+      // keys ease toward their target and spring back when released
+      let tx = 0;
+      let ty = 0;
+      for (const code of held) {
+        tx += KEY_DIRS[code][0];
+        ty += KEY_DIRS[code][1];
+      }
+      const ease = (v, target) => {
+        const stepSize = KEY_RATE * dt;
+        const t = clamp(target, -1, 1);
+        return Math.abs(t - v) <= stepSize
+          ? t
+          : v + Math.sign(t - v) * stepSize;
+      };
+      kx = ease(kx, tx);
+      ky = ease(ky, ty);
+
+      const s = stick();
+      if (drag) {
+        return {
+          x: clamp((drag.x - drag.x0) / drag.span, -1, 1) * maxAngle,
+          y: clamp((drag.y0 - drag.y) / drag.span, -1, 1) * maxAngle,
+          active: true,
+        };
+      }
+      if (s) return { x: s[0] * maxAngle, y: s[1] * maxAngle, active: true };
+      return {
+        x: kx * maxAngle,
+        y: ky * maxAngle,
+        active: held.size > 0 || kx !== 0 || ky !== 0,
+      };
+    },
+
+    reset() {
+      held.clear();
+      kx = 0;
+      ky = 0;
+      drag = null;
+    },
+  };
+}
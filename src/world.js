@@ -0,0 +1,71 @@
+/**
+ * 1D world model: a ring buffer holding the last H generations, so the sim
+ * can run forever while old rows are overwritten. rows[head] is the newest
+ * generation and rows[head + 1] (mod H) the oldest still on screen.
+ *
+ * fresh = rows produced since the last paint (incremental drawing),
+ * gen = generations since the last reset, k = states per cell.
+ */
+
+export function createGrid(W, H, k = 2) {
+  return {
+    rows: Array.from({ length: H }, () => new Uint8Array(W)),
+    head: 0,
+    current: new Uint8Array(W),
+    fresh: 0,
+    gen: 0,
+    k,
+  };
+}
+
+// Grid with `init` as generation 0 in slot 0 (the rest blank)
+export function seedGrid(init, H, k = 2) {
+  const g = createGrid(init.length, H, k);
+  g.rows[0].set(init);
+  g.current = g.rows[0];
+  return g;
+}
+
+/**
+ * Append `count` rows packed back to back (a stepper batch), overwriting
+ * the oldest slots. onRow (optional) sees each row as it lands.
+ */
+export function pushRows(g, buf, count, onRow) {
+  const n = g.current.length;
+  const h = g.rows.length;
+  for (let s = 0; s < count; s++) {
+    g.head = (g.head + 1) % h;
+    g.rows[g.head].set(buf.subarray(s * n, (s + 1) * n));
+    onRow?.(g.rows[g.head]);
+  }
+  g.current = g.rows[g.head];
+  g.fresh += count;
+  g.gen += count;
+}
+
+// Generations still in the ring, oldest first (fewer than H right after a reset)
+export function historyRows(g) {
+  const h = g.rows.length;
+  const n = Math.min(g.gen + 1, h);
+  return Array.from(
+    { length: n },
+    (_, i) => g.rows[(g.head - (n - 1) + i + h) % h],
+  );
+}
+
+/**
+ * Refill the ring with the H generations ending at `gen`, e.g. from a
+ * timeline. rowAt(gen) returns a row or null (blank) if it isn't known.
+ */
+export function rewindGrid(g, rowAt, gen) {
+  const h = g.rows.length;
+  for (let i = 0; i < h; i++) {
+    const row = rowAt(gen - (h - 1) + i);
+    if (row) g.rows[i].set(row);
+    else g.rows[i].fill(0);
+  }
+  g.head = h - 1;
+  g.current = g.rows[h - 1];
+  g.gen = gen;
+  g.fresh = 0;
+}
@@ -0,0 +1,174 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import {
+  createCore,
+  createEngine,
+  createRng,
+  makeRuleLUT,
+  packRow,
+  stepCA,
+  stepECA,
+  stepPacked,
+  unpackRow,
+} from "../src/engine.js";
+
+// Rule 30 centre column from a single cell (OEIS A051023)
+const RULE_30_CENTER = [
+  1, 1, 0, 1, 1, 1, 0, 0, 1, 1, 0, 0, 0, 1, 0, 1, 1, 0, 0, 1, 0, 0, 1, 1, 1, 0,
+  1, 0, 1, 1, 1, 0,
+];
+
+function singleCell(n) {
+  const row = new Uint8Array(n);
+  row[n >> 1] = 1;
+  return row;
+}
+
+function run(rule, init, gens, boundary = "fixed0") {
+  const lut = makeRuleLUT(rule);
+  const rows = [init];
+  for (let t = 1; t < gens; t++) rows.push(stepECA(rows[t - 1], lut, boundary));
+  return rows;
+}
+
+describe("makeRuleLUT", () => {
+  it("reads elementary rule bits by neighbourhood index", () => {
+    assert.deepEqual(Array.from(makeRuleLUT(30n)), [0, 1, 1, 1, 1, 0, 0, 0]);
+    assert.deepEqual(Array.from(makeRuleLUT(110)), [0, 1, 1, 1, 0, 1, 1, 0]);
+  });
+
+  it("reads base-k digits, least significant first", () => {
+    // 2*1 + 0*3 + 1*9 + 2*27 = 65 with k=3, totalistic r=1 (7 digits)
+    const lut = makeRuleLUT(65n, "totalistic", 3, 1);
+    assert.deepEqual(Array.from(lut), [2, 0, 1, 2, 0, 0, 0]);
+  });
+
+  it("fills the largest k=6 r=3 table quickly", () => {
+    const size = 6 ** 7;
+    const start = Date.now();
+    const lut = makeRuleLUT(6n ** BigInt(size) - 1n, "general", 6, 3);
+    assert.ok(Date.now() - start < 2000);
+    assert.equal(lut.length, size);
+    assert.ok(lut.every((d) => d === 5));
+  });
+});
+
+describe("stepECA", () => {
+  it("draws the Sierpinski triangle with rule 90", () => {
+    const n = 129;
+    const c = n >> 1;
+    const rows = run(90n, singleCell(n), 64);
+    rows.forEach((row, t) => {
+      for (let x = 0; x < n; x++) {
+        // Pascal's triangle mod 2: C(t, j) is odd iff j & (t - j) is 0
+        const d = x - c;
+        const j = (t + d) / 2;
+        const odd =
+          Math.abs(d) <= t && Number.isInteger(j) && (j & (t - j)) === 0;
+        assert.equal(row[x], odd ? 1 : 0, `t=${t} x=${x}`);
+      }
+    });
+  });
+
+  it("gives the known rule 30 centre column", () => {
+    const n = 2 * RULE_30_CENTER.length + 1;
+    const rows = run(30n, singleCell(n), RULE_30_CENTER.length);
+    assert.deepEqual(
+      rows.map((row) => row[n >> 1]),
+      RULE_30_CENTER,
+    );
+  });
+
+  it("wraps around with periodic edges", () => {
+    const init = new Uint8Array(8);
+    init[0] = 1;
+    // rule 2 moves every cell one step left; periodic wraps it round
+    const [, next] = run(2n, init, 2, "periodic");
+    assert.deepEqual(Array.from(next), [0, 0, 0, 0, 0, 0, 0, 1]);
+  });
+});
+
+describe("bit-packed stepping", () => {
+  it("matches stepECA for every boundary but noise", () => {
+    const n = 100; // not a multiple of 32
+    for (const boundary of ["fixed0", "fixed1", "periodic", "reflective"]) {
+      for (const rule of [30n, 54n, 90n, 110n, 184n]) {
+        const lut = makeRuleLUT(rule);
+        let row = singleCell(n);
+        row[3] = row[n - 2] = 1;
+        let words = packRow(row);
+        let scratch = new Uint32Array(words.length);
+        for (let t = 0; t < 50; t++) {
+          row = stepECA(row, lut, boundary);
+          stepPacked(words, n, lut, boundary, scratch);
+          [words, scratch] = [scratch, words];
+          assert.deepEqual(
+            unpackRow(words, n),
+            row,
+            `rule ${rule} ${boundary} t=${t}`,
+          );
+        }
+      }
+    }
+  });
+});
+
+describe("noise edges", () => {
+  it("give packed and unpacked stepping the same bits for one seed", () => {
+    const n = 100;
+    const lut = makeRuleLUT(30n);
+    const randA = createRng(42);
+    const randB = createRng(42);
+    let row = singleCell(n);
+    let words = packRow(row);
+    let scratch = new Uint32Array(words.length);
+    for (let t = 0; t < 50; t++) {
+      row = stepECA(row, lut, "noise", randA);
+      stepPacked(words, n, lut, "noise", scratch, randB);
+      [words, scratch] = [scratch, words];
+      assert.deepEqual(unpackRow(words, n), row, `t=${t}`);
+    }
+  });
+
+  it("match between the packed core and stepCA", () => {
+    const spec = { family: "general", k: 2, r: 1, lut: makeRuleLUT(110n) };
+    const core = createCore();
+    core.reset(singleCell(64), spec, "noise", 7);
+    const rows = core.step(40);
+    const rand = createRng(7);
+    let row = singleCell(64);
+    for (let t = 0; t < 40; t++) {
+      row = stepCA(row, spec, "noise", rand);
+      assert.deepEqual(rows.subarray(t * 64, (t + 1) * 64), row, `t=${t}`);
+    }
+  });
+});
+
+describe("stepCA", () => {
+  it("agrees with stepECA on elementary rules", () => {
+    const spec = { family: "general", k: 2, r: 1, lut: makeRuleLUT(110n) };
+    let a = singleCell(64);
+    let b = a;
+    for (let t = 0; t < 40; t++) {
+      a = stepECA(a, spec.lut, "periodic");
+      b = stepCA(b, spec, "periodic");
+      assert.deepEqual(b, a);
+    }
+  });
+});
+
+describe("createEngine", () => {
+  it("steps into its ring and keeps the generation count", () => {
+    const engine = createEngine({ rule: 90n, W: 33, H: 8 });
+    engine.step(20);
+    assert.equal(engine.grid.gen, 20);
+    assert.deepEqual(engine.grid.current, run(90n, singleCell(33), 21)[20]);
+  });
+
+  it("rejects an init row of the wrong width", () => {
+    assert.throws(
+      () => createEngine({ W: 16, init: new Uint8Array(8) }),
+      /16 cells/,
+    );
+  });
+});
@@ -0,0 +1,137 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import {
+  createEngine,
+  createRng,
+  createStepper,
+  historyRows,
+  pushRows,
+  randomRow,
+  seedGrid,
+} from "../src/engine.js";
+import { createComparison, paneLayout, paneRects } from "../src/compare.js";
+
+const W = 64;
+const H = 24;
+
+// A main world and its runs on one stepper (inline here: Node has no
+// Worker), the way the arcade wires them
+function setup(runs, { noise, timelineBytes } = {}) {
+  const init = randomRow(W, 2, 0.5, createRng(9));
+  const { spec } = createEngine({ rule: 90n, W, H, init, noise });
+  const comparison = createComparison({
+    spec,
+    H,
+    init,
+    rngSeed: 3,
+    runs,
+    timelineBytes,
+  });
+  const grid = seedGrid(init, H, 2);
+  const stepper = createStepper((rows, count, extraRows) => {
+    pushRows(grid, rows, count);
+    comparison.push(count, extraRows, grid);
+  });
+  stepper.reset(init, spec, "periodic", 3, comparison.reseat(spec));
+  // batches of uneven size; live = the tilt-driven inputs of each
+  const step = (count, live) => stepper.step(count, live);
+  return { grid, comparison, step };
+}
+
+// copies: the rings are overwritten as the worlds move on
+const copy = (g) => historyRows(g).map((row) => row.slice());
+
+describe("createComparison", () => {
+  it("tracks damage: rule 90's difference is a single cell's pattern", () => {
+    const { grid, comparison, step } = setup([{ rule: null, seed: "flip" }]);
+    for (const count of [3, 1, 7, 30]) step(count);
+    assert.equal(comparison.runs[0].grid.gen, grid.gen);
+
+    // rule 90 is linear: the damage grows as if from one live cell
+    const single = new Uint8Array(W);
+    single[W >> 1] = 1;
+    const lone = createEngine({
+      rule: 90n,
+      W,
+      H,
+      boundary: "periodic",
+      init: single,
+    });
+    lone.step(grid.gen);
+    assert.deepEqual(historyRows(comparison.diff), historyRows(lone.grid));
+
+    // rewinding to where we are gives the same picture
+    comparison.seek(grid);
+    assert.deepEqual(historyRows(comparison.diff), historyRows(lone.grid));
+  });
+
+  it("rewinds to what was drawn, tilt-driven noise included", () => {
+    const { grid, comparison, step } = setup([{ rule: null, seed: "flip" }], {
+      noise: { flip: 0.05, async: 1, probLut: null },
+    });
+    // the tilt changes the noise level from batch to batch
+    step(10, { noise: 0.2 });
+    step(15, { noise: 0.9 });
+    const past = structuredClone(grid);
+    const run = copy(comparison.runs[0].grid);
+    const diff = copy(comparison.diff);
+    step(40, { noise: 0.5 });
+
+    comparison.seek(past);
+    assert.equal(comparison.runs[0].grid.gen, 25);
+    assert.deepEqual(historyRows(comparison.runs[0].grid), run);
+    assert.deepEqual(historyRows(comparison.diff), diff);
+  });
+
+  it("runs its own rule on the same seed", () => {
+    const { comparison, step } = setup([{ rule: 30n, seed: "same" }]);
+    step(5);
+    step(12);
+    const init = randomRow(W, 2, 0.5, createRng(9));
+    const own = createEngine({ rule: 30n, W, H, boundary: "periodic", init });
+    own.step(17);
+    assert.deepEqual(
+      historyRows(comparison.runs[0].grid),
+      historyRows(own.grid),
+    );
+  });
+
+  it("shares one history budget between its runs", () => {
+    // 2 MB each: two 1 MB chunks of 16384 rows, the timeline's minimum
+    const { comparison, step } = setup(
+      [
+        { rule: null, seed: "flip" },
+        { rule: 30n, seed: "random" },
+      ],
+      { timelineBytes: 4 * 2 ** 20 },
+    );
+    for (let i = 0; i < 10; i++) step(4000);
+    assert.equal(comparison.first, 16384);
+    assert.equal(comparison.runs[1].timeline.last, 40000);
+  });
+});
+
+describe("split screen layout", () => {
+  it("steps a hidden run behind a lone difference pane", () => {
+    assert.deepEqual(paneLayout({ panes: 2, diff: true }), {
+      runs: 1,
+      panes: ["main", "diff"],
+    });
+    assert.deepEqual(paneLayout({ panes: 4, diff: false }).panes, [
+      "main",
+      0,
+      1,
+      2,
+    ]);
+  });
+
+  it("splits along the long side and tiles the whole canvas", () => {
+    const [a, b] = paneRects(2, 101, 40);
+    assert.deepEqual([a.w + b.w, a.h, b.x], [101, 40, 50]);
+    const quad = paneRects(4, 101, 41);
+    assert.equal(
+      quad.reduce((sum, r) => sum + r.w * r.h, 0),
+      101 * 41,
+    );
+  });
+});
@@ -0,0 +1,55 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { createGifRecorder } from "../src/exporters.js";
+
+// just enough canvas for the GIF recorder's downscaling
+globalThis.document ??= {
+  createElement: () => ({
+    getContext: () => ({
+      drawImage() {},
+      getImageData: (x, y, w, h) => ({
+        data: new Uint8ClampedArray(w * h * 4),
+      }),
+    }),
+  }),
+};
+
+const canvas = { width: 8, height: 8 };
+const colors = [
+  [255, 255, 255],
+  [0, 0, 0],
+];
+
+// one frame per call: 100 ms apart at the default 15 fps
+function feed(rec, gens) {
+  let now = 0;
+  for (const gen of gens) {
+    now += 100;
+    if (rec.onFrame(canvas, gen, now)) return gen;
+  }
+  return null;
+}
+
+describe("createGifRecorder", () => {
+  it("stops after `steps` generations", () => {
+    const rec = createGifRecorder({ startGen: 10, steps: 5, colors });
+    assert.equal(feed(rec, [10, 11, 12, 13, 14, 15, 16]), 15);
+  });
+
+  it("stops at the frame cap while the world is paused", () => {
+    const rec = createGifRecorder({
+      startGen: 0,
+      steps: 100,
+      colors,
+      maxFrames: 4,
+    });
+    const ended = feed(rec, Array(10).fill(3));
+    assert.equal(ended, 3);
+  });
+
+  it("starts over when the generation goes back", () => {
+    const rec = createGifRecorder({ startGen: 50, steps: 5, colors });
+    // reset at 53: counting begins again from 0
+    assert.equal(feed(rec, [50, 51, 52, 53, 0, 1, 2, 3, 4, 5, 6]), 5);
+  });
+});
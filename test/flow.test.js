@@ -0,0 +1,64 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { dominantEdgeFromTilt } from "../src/sensorProfiles.js";
+import { easeAngle, edgeAngle, flowLayout, tiltAngle } from "../src/flow.js";
+
+const close = (a, b) => Math.abs(a - b) < 1e-9;
+// same direction: PI and -PI both point up
+const sameAngle = (a, b) =>
+  close(Math.cos(a), Math.cos(b)) && close(Math.sin(a), Math.sin(b));
+
+describe("tiltAngle", () => {
+  it("agrees with the discrete edges along the axes", () => {
+    const p = {
+      betaOffset: 0,
+      gammaOffset: 0,
+      swapAxes: false,
+      xSign: 1,
+      ySign: 1,
+      deadzone: 6,
+    };
+    for (const flipLR of [false, true]) {
+      for (const [x, y] of [
+        [20, 0],
+        [-20, 0],
+        [0, 20],
+        [0, -20],
+      ]) {
+        // with unit signs and no swap, gamma is x and beta is y
+        const edge = dominantEdgeFromTilt(y, x, p);
+        assert.ok(
+          sameAngle(tiltAngle(x, y, flipLR, 6), edgeAngle(edge, flipLR)),
+          `${edge} flipLR=${flipLR}`,
+        );
+      }
+    }
+  });
+
+  it("is null inside the deadzone", () => {
+    assert.equal(tiltAngle(3, -4, false, 6), null);
+  });
+});
+
+describe("easeAngle", () => {
+  it("turns the short way round and settles on the target", () => {
+    const a = easeAngle(Math.PI - 0.1, -Math.PI + 0.1, 0.05);
+    assert.ok(a > Math.PI - 0.1, "crosses PI instead of going back");
+    let b = 0;
+    for (let i = 0; i < 200; i++) b = easeAngle(b, 1, 1 / 60);
+    assert.ok(Math.abs(b - 1) < 1e-6);
+  });
+});
+
+describe("flowLayout", () => {
+  it("puts the newest row on the screen border it grows toward", () => {
+    const view = { gw: 200, gh: 100, cw: 400, ch: 400 };
+    // upright: newest (bottom of the view) flush with the canvas bottom
+    const down = flowLayout({ ...view, angle: 0 });
+    assert.ok(close(down.cy + (view.gh * down.s) / 2, view.ch));
+    // turned to grow leftwards: newest row meets x = 0
+    const left = flowLayout({ ...view, angle: Math.PI / 2 });
+    assert.ok(close(left.cx - (view.gh * left.s) / 2, 0));
+    assert.ok(close(left.cy, view.ch / 2));
+  });
+});
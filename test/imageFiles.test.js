@@ -0,0 +1,64 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { inflateSync } from "node:zlib";
+import {
+  contactSheet,
+  encodePbm,
+  encodePng,
+  scaleCells,
+} from "../src/imageFiles.js";
+
+const image = { width: 3, height: 2, cells: Uint8Array.of(1, 0, 1, 0, 2, 0) };
+
+describe("encodePbm", () => {
+  it("packs live cells as black bits, rows padded to bytes", () => {
+    const pbm = encodePbm(image);
+    const header = "P4\n3 2\n";
+    assert.equal(pbm.subarray(0, header.length).toString("ascii"), header);
+    assert.deepEqual(
+      [...pbm.subarray(header.length)],
+      [0b10100000, 0b01000000],
+    );
+  });
+});
+
+describe("encodePng", () => {
+  it("writes a palette PNG whose pixels inflate back to the cells", () => {
+    const png = encodePng(image, [
+      [255, 255, 255],
+      [0, 0, 0],
+    ]);
+    assert.deepEqual([...png.subarray(1, 4)], [0x50, 0x4e, 0x47]); // "PNG"
+    assert.equal(png.readUInt32BE(16), 3);
+    assert.equal(png.readUInt32BE(20), 2);
+
+    const at = png.indexOf("IDAT");
+    const raw = inflateSync(
+      png.subarray(at + 4, at + 4 + png.readUInt32BE(at - 4)),
+    );
+    // filter byte, then indices; state 2 has no colour and falls back to 1
+    assert.deepEqual([...raw], [0, 1, 0, 1, 0, 0, 1, 0]);
+  });
+});
+
+describe("contactSheet", () => {
+  it("tiles images into equal slots separated by gaps", () => {
+    const big = scaleCells(image, 2);
+    assert.equal(big.width, 6);
+    assert.deepEqual([...big.cells.subarray(0, 6)], [1, 1, 0, 0, 1, 1]);
+
+    const sheet = contactSheet([image, big, image], {
+      columns: 2,
+      gap: 1,
+      gapState: 9,
+    });
+    assert.equal(sheet.width, 2 * 6 + 3);
+    assert.equal(sheet.height, 2 * 4 + 3);
+    const px = (x, y) => sheet.cells[y * sheet.width + x];
+    assert.equal(px(0, 0), 9);
+    assert.equal(px(1, 1), 1); // first tile, top-left cell
+    assert.equal(px(4, 1), 9); // spare room in its slot
+    assert.equal(px(8, 1), 1); // second tile
+    assert.equal(px(1, 6), 1); // third tile, second row of slots
+  });
+});
@@ -0,0 +1,72 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import {
+  SEED_PRESETS,
+  createEngine,
+  createRng,
+  findEther,
+  findParticles,
+  historyRows,
+  particleSeed,
+  randomRow,
+} from "../src/engine.js";
+
+// Two cells short of 20 ether tiles: wrapped round, the tiling jumps
+// phase once at the seam, and that jump travels as a glider
+const W = 278;
+const H = 160;
+const glider = SEED_PRESETS.find((p) => p.id === "ether110").make(W);
+
+function scan(init, rule = 110n) {
+  const e = createEngine({ rule, W, H, boundary: "periodic", init });
+  e.step(2 * H);
+  const rows = historyRows(e.grid);
+  return findParticles(rows, {
+    firstGen: e.grid.gen - rows.length + 1,
+    wrap: true,
+  });
+}
+
+describe("findEther", () => {
+  it("finds rule 110's 14-cell ether and nothing in rule 30", () => {
+    const e = createEngine({
+      rule: 110n,
+      W,
+      H,
+      boundary: "periodic",
+      init: glider,
+    });
+    e.step(H);
+    assert.equal(findEther(historyRows(e.grid))?.period, 14);
+
+    const chaos = createEngine({
+      rule: 30n,
+      W,
+      H,
+      boundary: "periodic",
+      init: randomRow(W, 2, 0.5, createRng(3)),
+    });
+    chaos.step(H);
+    assert.equal(findEther(historyRows(chaos.grid)), null);
+  });
+});
+
+describe("findParticles", () => {
+  it("tracks a rule 110 glider through the ether, across the seam", () => {
+    const { ether, particles, collisions } = scan(glider);
+    assert.equal(ether.period, 14);
+    assert.equal(particles.length, 1);
+    const [p] = particles;
+    assert.equal(p.speed, 2 / 3);
+    assert.ok(p.alive);
+    assert.equal(collisions.length, 0);
+  });
+
+  it("extracts a seed that grows the same particle", () => {
+    const [p] = scan(glider).particles;
+    const again = scan(particleSeed(p, W)).particles;
+    assert.equal(again.length, 1);
+    assert.equal(again[0].speed, p.speed);
+    assert.equal(again[0].period, p.period);
+  });
+});
@@ -0,0 +1,60 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import {
+  exportPresets,
+  mergePresets,
+  normalizePreset,
+  parsePresets,
+} from "../src/presets.js";
+import { decodePermalink } from "../src/permalink.js";
+
+const preset = (name, session, hudOpen = true) => ({ name, session, hudOpen });
+
+describe("presets", () => {
+  it("normalizes names, the leading # and hudOpen; rejects the rest", () => {
+    assert.deepEqual(
+      normalizePreset({ name: "  glider  ", session: "#rule=110" }),
+      preset("glider", "rule=110"),
+    );
+    assert.equal(normalizePreset({ name: " ", session: "rule=110" }), null);
+    assert.equal(normalizePreset({ name: "x", session: 110 }), null);
+    assert.equal(normalizePreset(null), null);
+  });
+
+  it("round-trips a library through the file format", () => {
+    const list = [
+      preset("rule 30", "mode=1d&rule=30&seed=single&world=low"),
+      preset("life", "mode=life&life=B36%2FS23", false),
+    ];
+    const back = parsePresets(exportPresets(list));
+    assert.deepEqual(back, list);
+    assert.equal(decodePermalink(back[0].session).rule, 30n);
+    assert.equal(decodePermalink(back[0].session).worldPreset, "low");
+    assert.equal(decodePermalink(back[1].session).lifeRuleText, "B36/S23");
+  });
+
+  it("reports bad files and skips bad entries", () => {
+    assert.throws(() => parsePresets("{"), /not JSON/);
+    assert.throws(() => parsePresets('{"version":9}'), /version/);
+    assert.throws(
+      () => parsePresets('{"version":1,"presets":[{"name":""}]}'),
+      /no presets/,
+    );
+    const text = JSON.stringify({
+      version: 1,
+      presets: [{ name: "ok", session: "rule=90" }, { session: "rule=30" }],
+    });
+    assert.deepEqual(parsePresets(text), [preset("ok", "rule=90")]);
+  });
+
+  it("merges by name, replacing in place", () => {
+    const merged = mergePresets(
+      [preset("a", "rule=1"), preset("b", "rule=2")],
+      [preset("b", "rule=3"), preset("c", "rule=4")],
+    );
+    assert.deepEqual(
+      merged.map((p) => `${p.name}:${p.session}`),
+      ["a:rule=1", "b:rule=3", "c:rule=4"],
+    );
+  });
+});
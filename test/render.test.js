@@ -0,0 +1,164 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import {
+  COLOR_MODES,
+  createRng,
+  edgeTransform,
+  mapToScreen,
+  modeColors,
+  newestSide,
+  orientCells,
+  paintRing,
+  pushRows,
+  randomRow,
+  seedGrid,
+  viewSize,
+} from "../src/engine.js";
+
+const W = 5; // cells per generation
+const H = 3; // generations on screen
+
+// Expected spot of the oldest (t = 0) and newest (t = H - 1) cell x = 0,
+// and the side of the view the newest generation sits on
+const CASES = [
+  {
+    edge: "bottom",
+    flipLR: false,
+    oldest: [0, 0],
+    newest: [0, 2],
+    side: "bottom",
+  },
+  { edge: "top", flipLR: false, oldest: [0, 2], newest: [0, 0], side: "top" },
+  {
+    edge: "right",
+    flipLR: false,
+    oldest: [2, 0],
+    newest: [0, 0],
+    side: "left",
+  },
+  {
+    edge: "left",
+    flipLR: false,
+    oldest: [0, 0],
+    newest: [2, 0],
+    side: "right",
+  },
+  // flipLR only mirrors the sideways edges
+  {
+    edge: "bottom",
+    flipLR: true,
+    oldest: [0, 0],
+    newest: [0, 2],
+    side: "bottom",
+  },
+  { edge: "top", flipLR: true, oldest: [0, 2], newest: [0, 0], side: "top" },
+  {
+    edge: "right",
+    flipLR: true,
+    oldest: [0, 0],
+    newest: [2, 0],
+    side: "right",
+  },
+  { edge: "left", flipLR: true, oldest: [2, 0], newest: [0, 0], side: "left" },
+];
+
+function label({ edge, flipLR }) {
+  return `${edge}${flipLR ? " flipLR" : ""}`;
+}
+
+describe("mapToScreen", () => {
+  for (const c of CASES) {
+    it(`places oldest and newest generations for ${label(c)}`, () => {
+      const at = (t) => mapToScreen(c.edge, t, 0, W, H, c.flipLR);
+      assert.deepEqual(at(0), { sx: c.oldest[0], sy: c.oldest[1] });
+      assert.deepEqual(at(H - 1), { sx: c.newest[0], sy: c.newest[1] });
+    });
+
+    it(`is a bijection onto the ${label(c)} view`, () => {
+      const { gw, gh } = viewSize(c.edge, W, H);
+      const seen = new Set();
+      for (let t = 0; t < H; t++) {
+        for (let x = 0; x < W; x++) {
+          const { sx, sy } = mapToScreen(c.edge, t, x, W, H, c.flipLR);
+          assert.ok(sx >= 0 && sx < gw && sy >= 0 && sy < gh);
+          seen.add(sy * gw + sx);
+        }
+      }
+      assert.equal(seen.size, W * H);
+    });
+
+    it(`agrees with edgeTransform and newestSide for ${label(c)}`, () => {
+      const [a, b, cc, d, e, f] = edgeTransform(c.edge, H, c.flipLR);
+      for (let t = 0; t < H; t++) {
+        for (let x = 0; x < W; x++) {
+          // centre of unrolled pixel (x, t) through the canvas transform
+          const px = a * (x + 0.5) + cc * (t + 0.5) + e;
+          const py = b * (x + 0.5) + d * (t + 0.5) + f;
+          assert.deepEqual(
+            { sx: Math.floor(px), sy: Math.floor(py) },
+            mapToScreen(c.edge, t, x, W, H, c.flipLR),
+          );
+        }
+      }
+      assert.equal(newestSide(c.edge, c.flipLR), c.side);
+    });
+  }
+});
+
+describe("orientCells", () => {
+  it("draws the ring oldest first, whatever slot it starts in", () => {
+    const g = seedGrid(Uint8Array.of(1, 0, 0, 0, 0), H);
+    // generation t has a single cell at x = t, so the picture is a diagonal
+    const batch = new Uint8Array(4 * W);
+    for (let s = 0; s < 4; s++) batch[s * W + s + 1] = 1;
+    pushRows(g, batch, 4); // 5 generations through 3 slots: head wraps
+    const { width, height, cells } = orientCells(g, "bottom");
+    assert.equal(width, W);
+    assert.equal(height, H);
+    const lit = [];
+    cells.forEach((v, i) => v && lit.push([i % W, Math.floor(i / W)]));
+    assert.deepEqual(lit, [
+      [2, 0],
+      [3, 1],
+      [4, 2],
+    ]);
+  });
+});
+
+describe("modeColors", () => {
+  // just enough canvas for paintRing's ring buffer
+  globalThis.document ??= {
+    createElement: () => ({
+      getContext: () => ({
+        createImageData: (w, h) => ({ data: new Uint8ClampedArray(w * h * 4) }),
+        putImageData() {},
+      }),
+    }),
+  };
+
+  const k = 3;
+  const paletteRgb = [
+    [255, 255, 255],
+    [0, 0, 0],
+    [30, 120, 200],
+  ];
+  const rng = createRng(5);
+  const g = seedGrid(randomRow(32, k, 0.5, rng), 80, k);
+  const rows = 100; // past MAX_AGE, and the ring wraps
+  const batch = new Uint8Array(rows * 32);
+  for (let s = 0; s < rows; s++) batch.set(randomRow(32, k, 0.3, rng), s * 32);
+  pushRows(g, batch, rows);
+
+  for (const { id } of COLOR_MODES) {
+    it(`lists every colour "${id}" paints`, () => {
+      const off = { ring: null, repaint: true };
+      paintRing(off, g, { mode: id, paletteRgb, r: 1 });
+      const allowed = new Set(modeColors(id, paletteRgb, k).map(String));
+      const data = off.ring.imageData.data;
+      for (let p = 0; p < data.length; p += 4) {
+        const c = String([data[p], data[p + 1], data[p + 2]]);
+        assert.ok(allowed.has(c), `${c} not in the ${id} colours`);
+      }
+    });
+  }
+});
@@ -0,0 +1,130 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import {
+  DEFAULT_NOISE,
+  createEngine,
+  createStepper,
+  fitRow,
+  parseBitString,
+} from "../src/engine.js";
+import { DEFAULT_COMPARE } from "../src/compare.js";
+import { createSimulation } from "../src/simulation.js";
+
+const W = 32;
+const H = 8;
+
+// What the arcade hands over on a render
+function settings(changes) {
+  return {
+    simMode: "1d",
+    W,
+    H,
+    states: 2,
+    ruleFamily: "general",
+    radius: 1,
+    stepSpec: createEngine({ rule: 110n, W, H }).spec,
+    boundary: "fixed0",
+    seedMode: "pattern",
+    rngSeed: 1,
+    density: 0.5,
+    seedPattern: parseBitString("1"),
+    compare: DEFAULT_COMPARE,
+    ...changes,
+  };
+}
+
+// A stepper that only notes which spec each reset hands it
+function recordingStepper() {
+  const specs = [];
+  return { specs, reset: (init, spec) => specs.push(spec), stop() {} };
+}
+
+const noisy = { ...DEFAULT_NOISE, flip: 0.2 };
+
+describe("createSimulation", () => {
+  it("reseeds an edge change from the pattern as edited since", () => {
+    const sim = createSimulation();
+    sim.configure(settings());
+    // held by the frame loop from its first frame on
+    const { reset } = sim;
+    reset();
+    const edited = parseBitString("11011");
+    sim.configure(settings({ seedPattern: edited }));
+    reset(); // the tilt edge changes
+    assert.deepEqual(sim.gridRef.current.current, fitRow(edited, W));
+    assert.equal(sim.gridRef.current.gen, 0);
+  });
+
+  it("reseeds a random row at the density set since", () => {
+    const sim = createSimulation();
+    const { reset } = sim;
+    sim.configure(settings({ seedMode: "random", density: 0.1 }));
+    reset();
+    const sparse = sim.gridRef.current.current.reduce((a, v) => a + v, 0);
+    sim.configure(settings({ seedMode: "random", density: 0.9 }));
+    reset();
+    const dense = sim.gridRef.current.current.reduce((a, v) => a + v, 0);
+    assert.ok(dense > sparse + W / 2, `${sparse} -> ${dense}`);
+  });
+
+  it("reseats the core with the noise set since", () => {
+    const sim = createSimulation();
+    const { reseatStepper } = sim;
+    const stepper = recordingStepper();
+    sim.attachStepper(stepper);
+    sim.configure(settings());
+    sim.reset();
+    const stepSpec = createEngine({ rule: 110n, W, H, noise: noisy }).spec;
+    sim.configure(settings({ stepSpec }));
+    reseatStepper(); // the noise effect
+    assert.equal(stepper.specs.at(-1).noise, noisy);
+  });
+
+  it("branches after a seek with the noise set meanwhile", () => {
+    const sim = createSimulation();
+    const { resumeFromView } = sim;
+    const stepper = recordingStepper();
+    sim.attachStepper(stepper);
+    sim.configure(settings());
+    sim.reset();
+    sim.seekedRef.current = true;
+    const stepSpec = createEngine({ rule: 110n, W, H, noise: noisy }).spec;
+    sim.configure(settings({ stepSpec }));
+    // held back while the past is on screen, picked up on the branch
+    sim.reseatStepper();
+    assert.equal(stepper.specs.length, 1);
+    resumeFromView();
+    assert.equal(stepper.specs.at(-1).noise, noisy);
+    assert.equal(sim.seekedRef.current, false);
+  });
+
+  it("seeks, steps and jumps through the timeline", () => {
+    let paused = 0;
+    const sim = createSimulation({ pause: () => paused++ });
+    // inline here: Node has no Worker, so rows arrive before step() returns
+    sim.attachStepper(createStepper(sim.onRows));
+    sim.configure(settings({ seedMode: "single", morphBase: 0.5 }));
+    sim.reset();
+    sim.requestSteps(40);
+    const at = (gen) => sim.timelineRef.current.row(gen).slice();
+    const row12 = at(12);
+
+    sim.seekTo(12);
+    assert.equal(sim.gridRef.current.gen, 12);
+    assert.deepEqual(sim.gridRef.current.current, row12);
+    assert.equal(paused, 1);
+
+    sim.stepGeneration(-1);
+    assert.equal(sim.gridRef.current.gen, 11);
+    // past the last generation: back to it, then fast-forward from there
+    sim.jumpTo(100);
+    assert.equal(sim.gridRef.current.gen, 40);
+    assert.equal(sim.fastForwardRef.current, 100);
+
+    // stepping on from generation 40 branches without losing history
+    sim.stepGeneration(1);
+    assert.equal(sim.gridRef.current.gen, 41);
+    assert.equal(sim.seekedRef.current, false);
+    assert.deepEqual(at(12), row12);
+  });
+});
@@ -0,0 +1,67 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import {
+  createGrid,
+  historyRows,
+  pushRows,
+  rewindGrid,
+  seedGrid,
+} from "../src/world.js";
+
+const W = 4;
+
+// Batch of `count` rows where every cell of row s holds `from + s`
+function batch(from, count) {
+  const buf = new Uint8Array(count * W);
+  for (let s = 0; s < count; s++) buf.fill(from + s, s * W, (s + 1) * W);
+  return buf;
+}
+
+const firstCells = (rows) => rows.map((row) => row[0]);
+
+describe("ring buffer", () => {
+  it("starts blank with generation 0 in slot 0", () => {
+    const g = seedGrid(Uint8Array.of(7, 7, 7, 7), 3);
+    assert.equal(g.head, 0);
+    assert.equal(g.gen, 0);
+    assert.equal(g.current, g.rows[0]);
+    assert.deepEqual(firstCells(historyRows(g)), [7]);
+  });
+
+  it("wraps around and keeps the newest H generations", () => {
+    const g = seedGrid(new Uint8Array(W), 3);
+    pushRows(g, batch(1, 2), 2);
+    assert.equal(g.head, 2);
+    assert.deepEqual(firstCells(historyRows(g)), [0, 1, 2]);
+
+    pushRows(g, batch(3, 2), 2);
+    assert.equal(g.head, 1);
+    assert.equal(g.gen, 4);
+    assert.equal(g.fresh, 4);
+    assert.deepEqual(firstCells(historyRows(g)), [2, 3, 4]);
+    assert.equal(g.current[0], 4);
+  });
+
+  it("survives a batch longer than the ring", () => {
+    const g = seedGrid(new Uint8Array(W), 3);
+    const seen = [];
+    pushRows(g, batch(1, 7), 7, (row) => seen.push(row[0]));
+    assert.deepEqual(seen, [1, 2, 3, 4, 5, 6, 7]);
+    assert.equal(g.head, 7 % 3);
+    assert.deepEqual(firstCells(historyRows(g)), [5, 6, 7]);
+  });
+
+  it("rewinds from a longer history, blank where it has none", () => {
+    const g = createGrid(W, 3);
+    const rowAt = (gen) => (gen >= 0 ? new Uint8Array(W).fill(gen) : null);
+    rewindGrid(g, rowAt, 1);
+    assert.equal(g.gen, 1);
+    assert.equal(g.fresh, 0);
+    assert.deepEqual(firstCells(g.rows), [0, 0, 1]);
+
+    rewindGrid(g, rowAt, 10);
+    assert.deepEqual(firstCells(historyRows(g)), [8, 9, 10]);
+    pushRows(g, batch(11, 1), 1);
+    assert.deepEqual(firstCells(historyRows(g)), [9, 10, 11]);
+  });
+});
@@ -1,7 +1,54 @@
 import { defineConfig } from "vite";
 import react from "@vitejs/plugin-react";
+import { createHash } from "node:crypto";
+import { readFileSync, readdirSync } from "node:fs";
+
+// Emits sw.js (src/serviceWorker.js) listing every file of the build to
+// precache, under a cache name that changes whenever any of them does
+function serviceWorker() {
+  let root = "";
+  let publicDir = "";
+  return {
+    name: "ca-arcade-service-worker",
+    apply: "build",
+    enforce: "post",
+    configResolved(config) {
+      root = config.root;
+      publicDir = config.publicDir;
+    },
+    generateBundle(_, bundle) {
+      const hash = createHash("sha256");
+      for (const file of Object.values(bundle)) {
+        hash.update(file.fileName);
+        hash.update(file.type === "chunk" ? file.code : file.source);
+      }
+      const publicFiles = publicDir
+        ? readdirSync(publicDir, { recursive: true, withFileTypes: true })
+            .filter((entry) => entry.isFile())
+            .map((entry) =>
+              `${entry.parentPath}/${entry.name}`
+                .slice(publicDir.length + 1)
+                .replaceAll("\\", "/"),
+            )
+        : [];
+      for (const file of publicFiles) {
+        hash.update(readFileSync(`${publicDir}/${file}`));
+      }
+      const precache = {
+        cache: `ca-arcade-${hash.digest("hex").slice(0, 12)}`,
+        files: ["./", ...Object.keys(bundle), ...publicFiles],
+      };
+      const template = readFileSync(`${root}/src/serviceWorker.js`, "utf8");
+      this.emitFile({
+        type: "asset",
+        fileName: "sw.js",
+        source: `self.__PRECACHE = ${JSON.stringify(precache)};\n${template}`,
+      });
+    },
+  };
+}
 
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), serviceWorker()],
   base: "/ca-arcade/", // <-- must match your GitHub repo name
 });